@@ -1,205 +1,838 @@
 "use strict";
 const vscode = require("vscode");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { AudioContext } = require("node-web-audio-api");
+const { SampleCache, toArrayBuffer } = require("./src/sampleCache");
+const { VoiceManager } = require("./src/voiceManager");
+const {
+  SOUND_KINDS,
+  baseKind,
+  rateLimitKind,
+  fallbackChain,
+  classifyEvent,
+} = require("./src/editKinds");
+const { loadSoundPacks, importSoundPack } = require("./src/soundPacks");
+const { DEFAULT_SCHEMES, isUserEdit, isBulkEdit } = require("./src/editFilter");
+const {
+  DiagnosticsTracker,
+  countDiagnostics,
+} = require("./src/diagnosticsTracker");
+const { TaskTracker, matchesTask } = require("./src/taskTracker");
+const { createDebugTrackerFactory } = require("./src/debugSounds");
+const {
+  normalizeTheme,
+  loadThemeFile,
+  loadThemeSources,
+  resolveExtends,
+} = require("./src/themes");
+const {
+  normalizeSound,
+  pickVariant,
+  soundFiles,
+  playbackRate,
+} = require("./src/soundSpec");
+const { pickTheme, pickTarget } = require("./src/themePicker");
+const { findProfile, applyProfile } = require("./src/profiles");
+const { MuteState } = require("./src/muteState");
+const { statusText, showControlMenu } = require("./src/statusBar");
+const { mutingRule } = require("./src/autoMute");
+const { editorColumns, panForChanges } = require("./src/panning");
+const { createRandom, TypingDynamics } = require("./src/typingDynamics");
+const { TypingStats } = require("./src/typingStats");
+const { noteRate, MusicalTyping } = require("./src/musicalTyping");
+const { showStatsPanel } = require("./src/statsView");
+const { REVERB_PRESETS, normalizeEffects } = require("./src/effects");
+const { WebAudioBackend } = require("./src/webAudioBackend");
+const { NullBackend, createBackend } = require("./src/audioBackends");
+const { Logger } = require("./src/logger");
+const { checkSoundFile, describeSoundFile } = require("./src/audioDiagnosis");
+const { normalizeSynth } = require("./src/synth");
+const { isLikelyPath, resolveSettingPath } = require("./src/soundPaths");
+const { createApi, isExtensionAllowed } = require("./src/extensionApi");
 
-let audioContext = new AudioContext();
-let gainNode = audioContext.createGain();
-gainNode.connect(audioContext.destination);
+// Logs to the output channel once activated
+const log = new Logger();
+
+// Events of the API returned by activate
+const soundPlayedEmitter = new vscode.EventEmitter();
+const stateChangedEmitter = new vscode.EventEmitter();
+let lastApiState = "";
+
+// Sounds registered through the API, by extension id and sound id
+const apiSounds = new Map();
+// Themes registered through the API, by theme name
+const apiThemes = new Map();
+
+// Plays the sounds, chosen on activation (see selectBackend). Until then,
+// and when no audio output works, a silent backend.
+/** @type {import("./src/audioBackends").AudioBackend} */
+let backend = new NullBackend();
+
+// Effects are rebuilt when settings change, possibly while an impulse
+// response is loading
+let effectsGeneration = 0;
+
+const voiceManager = new VoiceManager();
+
+const diagnosticsTracker = new DiagnosticsTracker(handleDiagnosticsTransition);
+
+const taskTracker = new TaskTracker();
+
+const typingDynamics = new TypingDynamics();
+let dynamicsEnabled = false;
+// Part of a sound's random pitch range kept under typing dynamics, whose
+// own pitch range is only a few percent wide
+const DYNAMICS_PITCH_SPREAD = 0.1;
+
+const musicalTyping = new MusicalTyping();
+let musicalEnabled = false;
+
+// Random source for variants, pitch and dynamics, seeded from settings
+// to make them reproducible
+let random = Math.random;
+
+// Mute and snooze, created on activation with the extension's global state
+let muteState = null;
+
+let statusBarItem = null;
+
+// Per-day and per-language typing counts, created on activation
+let typingStats = null;
+
+// State checked by the automatic muting rules
+let windowFocused = true;
+let accessibilitySupport = "auto";
+
+// Text of the caret line as it was before the next edit, which change
+// events don't report: { document, line, text }
+let caretLine = null;
+
+function rememberLine(document, line) {
+  caretLine =
+    document && line < document.lineCount
+      ? { document, line, text: document.lineAt(line).text }
+      : null;
+}
+
+// The text before the edit of the line where a change starts, when known
+function lineTextBefore(document, change) {
+  if (
+    !caretLine ||
+    !change.range ||
+    caretLine.document !== document ||
+    caretLine.line !== change.range.start.line
+  ) {
+    return undefined;
+  }
+  return caretLine.text;
+}
+
+const sampleCache = new SampleCache((data) => backend.decode(data), {
+  onError: (filePath, error) =>
+    warnSoundSetting(
+      error.code === "ENOENT"
+        ? `Sound file not found: ${filePath}`
+        : `Could not decode ${filePath}: ${error.message}`
+    ),
+});
 
 /**
- * Determine if a string looks like a path to a file.
+ * Warn about a sound that can't be used, with a quick fix opening the
+ * settings. Sounds are looked up on every keystroke, so each warning shows
+ * once until the settings or themes change.
  */
-function isLikelyPath(value) {
-  if (!value || typeof value !== "string") return false;
-  return (
-    value.endsWith(".wav") ||
-    value.endsWith(".mp3") ||
-    value.startsWith("/") ||
-    value.startsWith("./") ||
-    value.startsWith("../") ||
-    value.includes(path.sep)
+async function warnSoundSetting(message, setting = "hapticsound.theme") {
+  if (!log.once("warn", message)) return;
+  const choice = await vscode.window.showWarningMessage(
+    `🎹 ${message}`,
+    "Open Settings"
   );
+  if (choice === "Open Settings") {
+    vscode.commands.executeCommand("workbench.action.openSettings", setting);
+  }
 }
 
 /**
  * Load themes mapping from themes.json if present, otherwise use defaults.
+ * Imported sound packs, the user theme folder, `hapticsound.themePaths` and
+ * the workspace `.vscode/haptic-themes` folders are layered on top, each
+ * overriding themes of the same name from the ones before. A theme can
+ * `extends` another one from any source and override only some sounds.
  */
 let themesCache = null;
 function getThemesMap() {
   if (themesCache) return themesCache;
 
+  // Themes of other extensions can't replace bundled or installed ones
+  const themes = {
+    ...Object.fromEntries(
+      [...apiThemes].map(([themeName, { theme }]) => [themeName, theme])
+    ),
+    ...loadBundledThemes(),
+    ...loadSoundPacks(soundPacksPath, (packName, e) =>
+      log.error(`Failed to load sound pack ${packName}: ${e.message}`)
+    ),
+    ...loadThemeSources(themeSourcePaths(), (filePath, e) =>
+      log.error(`Failed to load themes from ${filePath}: ${e.message}`)
+    ),
+  };
+  themesCache = resolveExtends(themes, (themeName, e) =>
+    log.error(`Invalid theme "${themeName}": ${e.message}`)
+  );
+  return themesCache;
+}
+
+/**
+ * Folder holding imported sound packs, set on activation
+ */
+let soundPacksPath = null;
+
+/**
+ * User-level folder of theme manifests
+ */
+const userThemesPath = path.join(os.homedir(), ".haptic-sound", "themes");
+
+/**
+ * Path of the first workspace folder, if any
+ */
+function firstWorkspaceFolder() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  return folders.length > 0 ? folders[0].uri.fsPath : undefined;
+}
+
+/**
+ * Resolve a path from settings: `~`, `${userHome}` and `${workspaceFolder}`
+ * are expanded and relative paths resolve against the first workspace
+ * folder. Undefined when a variable can't be resolved.
+ */
+function workspacePath(filePath) {
+  return resolveSettingPath(filePath, {
+    workspaceFolder: firstWorkspaceFolder(),
+  });
+}
+
+/**
+ * Theme manifest files and folders, lowest precedence first. Until the
+ * workspace is trusted, only the user's own sources are loaded: workspace
+ * settings and `.vscode/haptic-themes` are skipped.
+ */
+function themeSourcePaths() {
+  const trusted = vscode.workspace.isTrusted;
+  const folders = trusted ? vscode.workspace.workspaceFolders || [] : [];
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  const settingPaths = trusted
+    ? config.get("themePaths")
+    : config.inspect("themePaths")?.globalValue;
+
+  const themePaths = (Array.isArray(settingPaths) ? settingPaths : [])
+    .map(workspacePath)
+    .filter(Boolean);
+
+  return [
+    userThemesPath,
+    ...themePaths,
+    ...folders.map((folder) =>
+      path.join(folder.uri.fsPath, ".vscode", "haptic-themes")
+    ),
+  ];
+}
+
+/**
+ * Watch every theme source and sound pack so that edits to manifests or
+ * samples take effect without reloading the window
+ */
+let themeWatchers = [];
+let themeReloadTimer = null;
+function watchThemeSources() {
+  themeWatchers.forEach((watcher) => watcher.dispose());
+
+  const sources = [...themeSourcePaths(), soundPacksPath].filter(Boolean);
+  themeWatchers = sources.map((sourcePath) => {
+    const isFile = path.extname(sourcePath).toLowerCase() === ".json";
+    const pattern = isFile
+      ? new vscode.RelativePattern(
+          path.dirname(sourcePath),
+          path.basename(sourcePath)
+        )
+      : new vscode.RelativePattern(sourcePath, "**/*");
+    const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+    watcher.onDidChange(scheduleThemeReload);
+    watcher.onDidCreate(scheduleThemeReload);
+    watcher.onDidDelete(scheduleThemeReload);
+    return watcher;
+  });
+}
+
+/**
+ * Rebuild the themes map and flush decoded audio, once a burst of file
+ * changes has settled
+ */
+function scheduleThemeReload() {
+  clearTimeout(themeReloadTimer);
+  themeReloadTimer = setTimeout(reloadThemes, 200);
+}
+
+function reloadThemes() {
+  log.debug("Reloading themes");
+  log.reset();
+  themesCache = null;
+  clearConfigCache();
+  sampleCache.clear();
+  preloadTheme();
+}
+
+/**
+ * Load the bundled themes.json
+ */
+function loadBundledThemes() {
   const basePath = path.join(__dirname, "sounds");
   const themesJsonPath = path.join(__dirname, "themes.json");
   try {
     if (fs.existsSync(themesJsonPath)) {
-      const raw = fs.readFileSync(themesJsonPath, "utf8");
-      const parsed = JSON.parse(raw);
-      // Normalize relative paths to absolute
-      const normalized = {};
-      for (const [themeName, mapping] of Object.entries(parsed)) {
-        normalized[themeName.toLowerCase()] = {
-          key: path.isAbsolute(mapping.key)
-            ? mapping.key
-            : path.join(__dirname, mapping.key),
-          backspace: path.isAbsolute(mapping.backspace)
-            ? mapping.backspace
-            : path.join(__dirname, mapping.backspace),
-          save: path.isAbsolute(mapping.save)
-            ? mapping.save
-            : path.join(__dirname, mapping.save),
-        };
-      }
-      themesCache = normalized;
-      return themesCache;
+      // Paths are normalized relative to the extension root
+      return loadThemeFile(themesJsonPath);
     }
   } catch (e) {
-    console.error(`Failed to load themes.json: ${e.message}`);
+    log.error(`Failed to load themes.json: ${e.message}`);
   }
 
   // Fallback defaults if no JSON or failed to parse
-  themesCache = {
+  return {
     typewriter: {
       key: path.join(basePath, "key.wav"),
       backspace: path.join(basePath, "key.wav"),
       save: path.join(basePath, "carriage-return.wav"),
     },
   };
-  return themesCache;
 }
 
 /**
  * Resolve a sound setting which can be a theme name or a file path.
- * kind: "key" | "backspace" | "save"
+ * kind: one of SOUND_KINDS ("key", "backspace", "save", "newline", ...).
+ * Optional kinds a theme doesn't define fall back to "key" or "backspace".
+ * Paths resolve against workspaceFolder (defaults to the first one), see
+ * src/soundPaths.js. Unknown themes and missing files fall back to the
+ * typewriter theme, with a warning.
+ * Returns a file path, or a sound with variants as described in src/soundSpec.js.
  */
-function resolveSound(kind, configured) {
-  const basePath = path.join(__dirname, "sounds");
+function resolveSound(kind, configured, workspaceFolder) {
+  const pathOptions = {
+    workspaceFolder: workspaceFolder || firstWorkspaceFolder(),
+    fallbackDir: __dirname,
+    exists: fs.existsSync,
+  };
 
-  // If configured as a path, return absolute path (resolve relative to extension root)
-  if (isLikelyPath(configured)) {
-    return path.isAbsolute(configured)
-      ? configured
-      : path.join(__dirname, configured);
+  // Inline sounds from settings: a synth recipe, variants or a file object
+  if (configured && typeof configured === "object") {
+    return normalizeSound(
+      configured,
+      (file) => resolveSettingPath(file, pathOptions) || file
+    );
   }
 
   // Theme mapping – default 'typewriter'
-  const theme = (configured || "typewriter").toLowerCase();
+  let theme = (configured || "typewriter").toLowerCase();
   const themeFileMap = getThemesMap();
 
-  if (themeFileMap[theme] && themeFileMap[theme][kind]) {
-    return themeFileMap[theme][kind];
+  if (isLikelyPath(configured)) {
+    const filePath = resolveSettingPath(configured, pathOptions);
+    if (filePath && fs.existsSync(filePath)) return filePath;
+    warnSoundSetting(
+      filePath
+        ? `Sound file not found: ${filePath}, using typewriter`
+        : `Could not resolve the sound path "${configured}", using typewriter`
+    );
+    theme = "typewriter";
+  } else if (!themeFileMap[theme]) {
+    warnSoundSetting(`Unknown theme "${configured}", using typewriter`);
   }
 
+  const chain = fallbackChain(kind);
+
   // Fallback to typewriter if unknown theme
-  return themeFileMap.typewriter[kind];
+  for (const mapping of [themeFileMap[theme], themeFileMap.typewriter]) {
+    if (!mapping) continue;
+    const found = chain.find((candidate) => mapping[candidate]);
+    if (found) return mapping[found];
+  }
+  return undefined;
 }
 
 /**
- * Load user configuration from settings
+ * Load user configuration from settings, for the given document if any:
+ * language-specific settings (e.g. `[markdown]`) and the first matching entry
+ * of `hapticsound.profiles` override the theme, volume and enabled state.
+ * Results are cached per language, folder and profile until a setting changes.
  */
-function getConfig() {
-  const config = vscode.workspace.getConfiguration("hapticsound");
-  const themeConfig = config.get("theme");
+const configCache = new Map();
+function getConfig(document) {
+  const profiles = getProfiles();
+  const profileIndex = findProfile(profiles, document, vscode.languages.match);
+  const folder = document && vscode.workspace.getWorkspaceFolder(document.uri);
+  const cacheKey = document
+    ? `${document.languageId}|${folder ? folder.uri.toString() : ""}|${profileIndex}`
+    : "";
+  const cached = configCache.get(cacheKey);
+  if (cached) return cached;
+
+  const scope = document
+    ? { uri: document.uri, languageId: document.languageId }
+    : undefined;
+  const config = vscode.workspace.getConfiguration("hapticsound", scope);
+  // Editor layout, for panning
+  const editorConfig = vscode.workspace.getConfiguration("editor", scope);
+  const settings = applyProfile(
+    {
+      theme: config.get("theme"),
+      volume: config.get("volume") ?? 50,
+      enabled: config.get("enabled") !== false, // Default to true
+    },
+    profiles[profileIndex]
+  );
 
-  let keySound, backspaceSound, saveSound;
+  const result = {
+    enabled: settings.enabled,
+    volume: settings.volume / 100,
+    themeName:
+      typeof settings.theme === "string"
+        ? settings.theme.toLowerCase()
+        : "custom",
+    ...resolveThemeSounds(settings.theme, folder && folder.uri.fsPath),
+    schemes: config.get("schemes") || DEFAULT_SCHEMES,
+    editorScope: config.get("editorScope") || "active",
+    editReasons: { undo: "sound", redo: "sound", ...config.get("editReasons") },
+    diagnosticSounds: config.get("diagnosticSounds") !== false,
+    taskSounds: config.get("taskSounds") !== false,
+    taskFilter: {
+      groups: config.get("taskGroups") || [],
+      names: config.get("taskNames") || [],
+    },
+    taskMinDuration: (config.get("taskMinDuration") ?? 10) * 1000,
+    debugSounds: config.get("debugSounds") !== false,
+    collectStats: config.get("stats.enabled") !== false,
+    panWidth: (config.get("panWidth") ?? 50) / 100,
+    layout: {
+      wordWrap: editorConfig.get("wordWrap"),
+      wordWrapColumn: editorConfig.get("wordWrapColumn"),
+      rulers: editorConfig.get("rulers"),
+    },
+    autoMute: {
+      unfocused: config.get("muteWhenUnfocused") !== false,
+      screenReader: config.get("muteWithScreenReader") !== false,
+      quietHours: config.get("quietHours"),
+    },
+  };
+  configCache.set(cacheKey, result);
+  return result;
+}
 
-  // Check if theme parameter is configured
-  if (themeConfig !== undefined) {
-    // Test if theme is a string or an object
+/**
+ * Entries of hapticsound.profiles, cached with the configuration
+ */
+let profilesCache = null;
+function getProfiles() {
+  if (!profilesCache) {
+    const profiles = vscode.workspace
+      .getConfiguration("hapticsound")
+      .get("profiles");
+    profilesCache = Array.isArray(profiles) ? profiles : [];
+  }
+  return profilesCache;
+}
+
+/**
+ * Forget cached configuration, after settings or themes changed
+ */
+function clearConfigCache() {
+  configCache.clear();
+  profilesCache = null;
+}
+
+/**
+ * Resolve the sound of every kind for a theme setting
+ * (a theme name or an object with a sound per kind)
+ */
+function resolveThemeSounds(themeConfig, workspaceFolder) {
+  const sounds = {};
+  for (const kind of SOUND_KINDS) {
+    let configured = "typewriter";
+
+    // Check if theme parameter is configured
     if (typeof themeConfig === "string") {
       // If it's a string, use it as theme name for all sounds
-      keySound = resolveSound("key", themeConfig);
-      backspaceSound = resolveSound("backspace", themeConfig);
-      saveSound = resolveSound("save", themeConfig);
+      configured = themeConfig;
     } else if (typeof themeConfig === "object" && themeConfig !== null) {
-      // If it's an object, use the individual properties
-      keySound = resolveSound("key", themeConfig.key);
-      backspaceSound = resolveSound("backspace", themeConfig.backspace);
-      saveSound = resolveSound("save", themeConfig.save);
-    } else {
-      // Fallback to default if theme is invalid
-      keySound = resolveSound("key", "typewriter");
-      backspaceSound = resolveSound("backspace", "typewriter");
-      saveSound = resolveSound("save", "typewriter");
+      // If it's an object, use the individual properties,
+      // optional kinds default to what their parent kind is set to
+      const found = fallbackChain(kind).find(
+        (candidate) => themeConfig[candidate] !== undefined
+      );
+      configured = found && themeConfig[found];
     }
-  } else {
-    // Fallback to legacy individual settings for backward compatibility
-    keySound = resolveSound("key", "typewriter");
-    backspaceSound = resolveSound("backspace", "typewriter");
-    saveSound = resolveSound("save", "typewriter");
+
+    sounds[kind] = resolveSound(kind, configured, workspaceFolder);
   }
 
-  return {
-    enabled: config.get("enabled") !== false, // Default to true
-    keySound,
-    backspaceSound,
-    saveSound,
-  };
+  // Per-character sounds of sound packs, from the theme used for typing
+  const keyTheme =
+    typeof themeConfig === "object" && themeConfig !== null
+      ? themeConfig.key
+      : themeConfig;
+  const keyMapping =
+    typeof keyTheme === "string" && !isLikelyPath(keyTheme)
+      ? getThemesMap()[keyTheme.toLowerCase()]
+      : undefined;
+
+  return { sounds, keys: (keyMapping && keyMapping.keys) || {} };
+}
+
+/**
+ * Every sound of the active theme and of the themes of profiles, with the
+ * kind or key it plays for
+ */
+function activeSounds() {
+  const themes = [
+    getConfig(),
+    ...getProfiles()
+      .filter((profile) => profile && profile.theme !== undefined)
+      .map((profile) => resolveThemeSounds(profile.theme)),
+  ];
+  return themes.flatMap(({ sounds, keys }) => [
+    ...Object.entries(sounds),
+    ...Object.entries(keys).map(([key, sound]) => [`key "${key}"`, sound]),
+  ]);
 }
 
 /**
- * Plays the given sound file asynchronously
+ * Decode every sound of the active theme, and of the themes of profiles,
+ * so the first keystroke is instant
  */
-async function playSound(filePath) {
+function preloadTheme() {
+  if (!backend.decodesSamples) return Promise.resolve();
+  const sounds = activeSounds().map(([, sound]) => sound);
+  return sampleCache.preload(sounds.flatMap(soundFiles));
+}
+
+/**
+ * Plays the given sound asynchronously: a file path, or a sound with
+ * variants, each with its own gain, pitch range and offset/duration in seconds.
+ * kind: the sound kind, rate limited as rateLimitKind(kind)
+ * options.volume: 0-1, defaults to the volume setting
+ * options.pan: stereo position from -1 (left) to 1 (right), or several
+ *   positions to play it from at once, e.g. the cursors of a multi-cursor edit
+ * options.dynamics: gain and rate multipliers from the typing dynamics
+ * options.notes: playback rates of notes to play instead of a random pitch,
+ *   several for a chord
+ * options.extensionId: the extension playing it through the API
+ * Resolves to whether the sound started.
+ */
+async function playSound(sound, kind = "key", options = {}) {
+  const { volume = getConfig().volume, pan = 0, dynamics, notes } = options;
   try {
-    const config = getConfig();
-    if (!config.enabled || !fs.existsSync(filePath)) return;
-
-    const buffer = fs.readFileSync(filePath);
-    // Convert Node.js Buffer to a guaranteed ArrayBuffer (avoid SharedArrayBuffer union)
-    const arrayBuffer = new ArrayBuffer(buffer.byteLength);
-    new Uint8Array(arrayBuffer).set(
-      new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
-    );
-    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-    const source = audioContext.createBufferSource();
-    source.buffer = audioBuffer;
-    source.connect(gainNode); // Connect to gain node instead of directly to destination
-
-    // Apply slight random pitch variation to avoid repetitive sound
-    // Playback rate around 1.0 +/- ~40%
-    const min = 0.6;
-    const max = 1.4;
-    source.playbackRate.value = Math.random() * (max - min) + min;
-
-    source.start();
+    const variant = pickVariant(sound, random);
+    if (!variant || !voiceManager.shouldPlay(rateLimitKind(kind))) return false;
+
+    // Hot path: already decoded, no disk access
+    let audioBuffer;
+    if (!variant.synth && backend.decodesSamples) {
+      audioBuffer =
+        sampleCache.peek(variant.file) ||
+        (await sampleCache.get(variant.file));
+      if (!audioBuffer) return false;
+    }
+
+    let gain = (variant.gain ?? 1) * volume * (dynamics ? dynamics.gain : 1);
+    // Apply random pitch variation to avoid repetitive sound, unless notes
+    // set the pitch. Dynamics narrow it so the typing speed can be heard.
+    const spread = dynamics ? DYNAMICS_PITCH_SPREAD : 1;
+    let rates = [playbackRate(variant, random, spread)];
+    if (notes && notes.length > 0) {
+      rates = notes;
+      // Keep chords about as loud as single notes
+      gain /= Math.sqrt(notes.length);
+    }
+    const pans = Array.isArray(pan) ? pan : [pan];
+    gain /= Math.sqrt(pans.length);
+    for (const rate of rates) {
+      for (const position of pans) {
+        startVoice(variant, audioBuffer, {
+          gain,
+          pan: position,
+          rate: rate * (dynamics ? dynamics.rate : 1),
+        });
+      }
+    }
+    soundPlayedEmitter.fire({ kind, extensionId: options.extensionId });
+    return true;
   } catch (error) {
-    console.error(`Sound error: ${error.message}`);
+    log.error(`Sound error: ${error.message}`);
+    return false;
   }
 }
 
+/**
+ * Start one voice of a sound variant, registered with the voice manager
+ */
+function startVoice(variant, audioBuffer, { gain, pan, rate }) {
+  const voice = backend.play(variant, {
+    audioBuffer,
+    gain,
+    pan,
+    rate,
+    onEnded: () => voiceManager.release(voice),
+  });
+  if (voice) voiceManager.register(voice);
+}
+
 /**
  * Detects which sound to play when user types
  */
 function handleTyping(event) {
   if (event.contentChanges.length === 0) return;
-  const config = getConfig();
-  if (!config.enabled) return;
+  const config = getConfig(event.document);
+  // Typing stats are collected even while sounds are off
+  const audible = isAudible(config);
+  if (!audible && !config.collectStats) return;
+
+  // Ignore output channels, diff views and background documents
+  const userEdit = isUserEdit(event, {
+    schemes: config.schemes,
+    scope: config.editorScope,
+    activeEditor: vscode.window.activeTextEditor,
+    visibleEditors: vscode.window.visibleTextEditors,
+  });
+  if (!userEdit) return;
+
+  // Undo/redo can have their own sound, be silent or sound like typing
+  const reason = reasonName(event.reason);
+  const action = reason ? config.editReasons[reason] : "typing";
+  if (action === "silent") return;
+  if (action === "sound") {
+    if (audible) {
+      playSound(config.sounds[reason], reason, { volume: config.volume });
+    }
+    return;
+  }
+
+  // Formatters and refactorings are not keystrokes
+  if (isBulkEdit(event)) return;
+
+  // The editor still reports the caret from before the edit, which tells
+  // a forward delete apart from a backspace
+  const editor = vscode.window.activeTextEditor;
+  const cursor =
+    editor && editor.document === event.document
+      ? editor.selection.active
+      : undefined;
+
+  const lineText = lineTextBefore(event.document, event.contentChanges[0]);
+  // A forward delete doesn't move the caret, the next edit starts here
+  rememberLine(event.document, event.contentChanges[0].range.start.line);
+  const kind = classifyEvent(event, cursor, lineText);
+  if (!kind) return;
+
+  if (config.collectStats && kind !== "paste") {
+    typingStats.record(
+      baseKind(kind) === "backspace" ? "deletion" : "keystroke",
+      event.document.languageId
+    );
+  }
+  if (!audible) return;
 
-  const change = event.contentChanges[0];
+  // Keystrokes come from the column they were typed at
+  const columns = editorColumns({
+    ...config.layout,
+    lineLengths: cursor ? visibleLineLengths(editor) : [],
+  });
+  const pan = panForChanges(event.contentChanges, columns, config.panWidth);
+  const dynamics = dynamicsEnabled ? typingDynamics.keystroke() : undefined;
 
-  // Detect deletion or backspace
-  if (change.text === "" && change.rangeLength > 0) {
-    playSound(config.backspaceSound);
+  // Musical typing walks through the melody with the note sound
+  if (musicalEnabled && kind !== "paste") {
+    const note =
+      baseKind(kind) === "backspace"
+        ? musicalTyping.back()
+        : musicalTyping.next();
+    playSound(config.sounds.note, kind, {
+      volume: config.volume,
+      pan,
+      dynamics,
+      notes: [noteRate(note)],
+    });
     return;
   }
 
-  // Regular typing
-  playSound(config.keySound);
+  // Sound packs can give each typed character its own sound
+  const text = event.contentChanges[0].text;
+  const keySound = text.length === 1 && config.keys[text.toLowerCase()];
+  playSound(keySound || config.sounds[kind], kind, {
+    volume: config.volume,
+    pan,
+    dynamics,
+  });
+}
+
+/**
+ * Length of the lines shown in an editor, to guess how wide it is
+ */
+function visibleLineLengths(editor) {
+  const lengths = [];
+  for (const range of editor.visibleRanges || []) {
+    for (let line = range.start.line; line <= range.end.line; line++) {
+      if (line >= editor.document.lineCount) break;
+      lengths.push(editor.document.lineAt(line).text.length);
+    }
+  }
+  return lengths;
+}
+
+/**
+ * Name of the reason of a document change ("undo" | "redo"), if any
+ */
+function reasonName(reason) {
+  switch (reason) {
+    case vscode.TextDocumentChangeReason.Undo:
+      return "undo";
+    case vscode.TextDocumentChangeReason.Redo:
+      return "redo";
+    default:
+      return undefined;
+  }
 }
 
 /**
  * Plays the save sound when a document is saved
  */
-function handleSave() {
+function handleSave(document) {
+  const config = getConfig(document);
+  if (config.collectStats && document) {
+    typingStats.record("save", document.languageId);
+  }
+  if (!isAudible(config)) return;
+
+  // Musical typing resolves the melody and starts it over
+  if (musicalEnabled) {
+    playSound(config.sounds.note, "save", {
+      volume: config.volume,
+      notes: musicalTyping.chord().map(noteRate),
+    });
+    musicalTyping.reset();
+    return;
+  }
+  playSound(config.sounds.save, "save", { volume: config.volume });
+}
+
+/**
+ * Feeds error/warning counts of changed documents to the tracker
+ */
+function handleDiagnostics(event) {
+  for (const uri of event.uris) {
+    const counts = countDiagnostics(vscode.languages.getDiagnostics(uri));
+    diagnosticsTracker.update(uri.toString(), counts);
+  }
+}
+
+/**
+ * Plays a sound when the active file gains its first error or warning,
+ * or loses its last error
+ */
+function handleDiagnosticsTransition(uri, kind) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.uri.toString() !== uri) return;
+
+  const config = getConfig(editor.document);
+  if (!isAudible(config, { event: true }) || !config.diagnosticSounds) return;
+  playSound(config.sounds[kind], kind, { volume: config.volume });
+}
+
+/**
+ * Remembers when a task process starts, for the minimum duration
+ */
+function handleTaskStart(event) {
+  const config = getConfig();
+  if (!config.taskSounds) return;
+  if (!matchesTask(event.execution.task, config.taskFilter)) return;
+  taskTracker.start(event.execution);
+}
+
+/**
+ * Plays the task success or failure sound when a long enough task ends
+ */
+function handleTaskEnd(event) {
+  const config = getConfig();
+  const kind = taskTracker.end(
+    event.execution,
+    event.exitCode,
+    config.taskMinDuration
+  );
+  if (!kind || !config.taskSounds) return;
+  if (!isAudible(config, { event: true })) return;
+  playSound(config.sounds[kind], kind, { volume: config.volume });
+}
+
+/**
+ * Plays a debugger sound: session start/stop, breakpoint, exception or step
+ */
+function handleDebugEvent(kind) {
   const config = getConfig();
-  if (!config.enabled) return;
-  playSound(config.saveSound);
+  if (!isAudible(config, { event: true }) || !config.debugSounds) return;
+  playSound(config.sounds[kind], kind, { volume: config.volume });
+}
+
+/**
+ * Whether sounds should play: enabled in settings, not muted or snoozed,
+ * and no automatic muting rule applies. `event` is set for task, debug,
+ * diagnostics and API sounds.
+ */
+function isAudible(config, { event = false } = {}) {
+  return (
+    config.enabled &&
+    !(muteState && muteState.muted) &&
+    !currentMutingRule(config, { event })
+  );
+}
+
+/**
+ * The automatic muting rule that applies right now, if any
+ */
+function currentMutingRule(config, { event = false } = {}) {
+  // Tasks, debugging and diagnostics are worth hearing from another window,
+  // the unfocused rule only silences edits and saves
+  const rules = event
+    ? { ...config.autoMute, unfocused: false }
+    : config.autoMute;
+  return mutingRule(rules, {
+    focused: windowFocused,
+    accessibilitySupport,
+    date: new Date(),
+  });
 }
 
 /**
- * Toggle enabled state
+ * Tell why sounds are not playing in the active editor
+ */
+function explainMute() {
+  const editor = vscode.window.activeTextEditor;
+  const config = getConfig(editor && editor.document);
+  const rule = currentMutingRule(config);
+
+  let message = "🎹 Haptic Sounds are playing";
+  if (!config.enabled) {
+    message = "🎹 Haptic Sounds are disabled by hapticsound.enabled";
+  } else if (muteState.snoozedUntil !== undefined) {
+    const until = new Date(muteState.snoozedUntil).toLocaleTimeString();
+    message = `🎹 Haptic Sounds are snoozed until ${until}`;
+  } else if (muteState.muted) {
+    message = "🎹 Haptic Sounds are muted until you unmute them";
+  } else if (rule) {
+    message = `🎹 Haptic Sounds are muted: ${rule.reason}`;
+  }
+  vscode.window.showInformationMessage(message);
+}
+
+/**
+ * Toggle hapticsound.enabled in the user settings
  */
 async function toggleEnabled() {
   const config = vscode.workspace.getConfiguration("hapticsound");
@@ -215,32 +848,773 @@ async function toggleEnabled() {
 }
 
 /**
- * Update volume from settings
+ * Toggle the session mute. The mute lives in extension state rather than
+ * in hapticsound.enabled, so it doesn't sync to other machines.
  */
-function updateVolume() {
+function toggleMute() {
+  const muted = muteState.muted;
+  if (muted) muteState.unmute();
+  else muteState.mute();
+  vscode.window.showInformationMessage(
+    `🎹 Haptic Sounds ${muted ? "unmuted" : "muted"}`
+  );
+}
+
+/**
+ * Show the theme, mute and snooze state of the active editor
+ */
+function updateStatusBar() {
+  const editor = vscode.window.activeTextEditor;
+  const config = getConfig(editor && editor.document);
+  fireStateChange(config);
+  if (!statusBarItem) return;
+  const rule = currentMutingRule(config);
+  const { text, tooltip } = statusText({
+    enabled: config.enabled,
+    muted: muteState.muted,
+    snoozedUntil: muteState.snoozedUntil,
+    // An unfocused window is muted anyway while nobody looks at it
+    autoMuteReason: rule && rule.rule !== "unfocused" ? rule.reason : undefined,
+    themeName: config.themeName,
+    volume: Math.round(config.volume * 100),
+  });
+  statusBarItem.text = text;
+  statusBarItem.tooltip = tooltip;
+}
+
+/**
+ * Open the status bar menu: mute, snooze, volume steps and theme
+ */
+async function showMenu() {
   const config = vscode.workspace.getConfiguration("hapticsound");
-  const volume = (config.get("volume") || 50) / 100;
-  gainNode.gain.value = volume;
+  const choice = await showControlMenu({
+    muted: muteState.muted,
+    themeName: getConfig().themeName,
+    volume: config.get("volume") ?? 50,
+  });
+  if (!choice) return;
+
+  switch (choice.action) {
+    case "mute":
+      muteState.mute();
+      break;
+    case "unmute":
+      muteState.unmute();
+      break;
+    case "snooze":
+      muteState.snooze(choice.minutes * 60 * 1000);
+      break;
+    case "volume":
+      await updateSetting("volume", choice.volume);
+      break;
+    case "selectTheme":
+      await selectTheme();
+      break;
+  }
+}
+
+/**
+ * Update a setting where it is currently defined, the user settings if it
+ * is not set anywhere
+ */
+async function updateSetting(key, value) {
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  const inspected = config.inspect(key);
+  let target = vscode.ConfigurationTarget.Global;
+  if (inspected?.workspaceFolderValue !== undefined) {
+    target = vscode.ConfigurationTarget.WorkspaceFolder;
+  } else if (inspected?.workspaceValue !== undefined) {
+    target = vscode.ConfigurationTarget.Workspace;
+  }
+  await config.update(key, value, target);
+}
+
+/**
+ * Import a Mechvibes-style sound pack folder as a new theme
+ */
+async function importSoundPackCommand() {
+  const folders = await vscode.window.showOpenDialog({
+    canSelectFiles: false,
+    canSelectFolders: true,
+    canSelectMany: false,
+    openLabel: "Import Sound Pack",
+  });
+  if (!folders || folders.length === 0) return;
+
+  let themeName;
+  try {
+    themeName = importSoundPack(folders[0].fsPath, soundPacksPath);
+  } catch (e) {
+    vscode.window.showErrorMessage(
+      `🎹 Failed to import sound pack: ${e.message}`
+    );
+    return;
+  }
+  themesCache = null;
+  clearConfigCache();
+
+  const choice = await vscode.window.showInformationMessage(
+    `🎹 Sound pack imported as theme "${themeName}"`,
+    "Use Now"
+  );
+  if (choice === "Use Now") {
+    await vscode.workspace
+      .getConfiguration("hapticsound")
+      .update("theme", themeName, vscode.ConfigurationTarget.Global);
+  }
+}
+
+/**
+ * Pick a theme from a list that auditions each one, then save it
+ * at the scope the user chooses
+ */
+async function selectTheme() {
+  const themeConfig = vscode.workspace
+    .getConfiguration("hapticsound")
+    .get("theme");
+
+  const themeName = await pickTheme({
+    themeNames: Object.keys(getThemesMap()).sort(),
+    currentTheme:
+      typeof themeConfig === "string" ? themeConfig.toLowerCase() : undefined,
+    preview: (name, kind) => playSound(resolveSound(kind, name), kind),
+  });
+  if (!themeName) return;
+
+  const destination = await pickTarget();
+  if (!destination) return;
+  await vscode.workspace
+    .getConfiguration("hapticsound", destination.scope)
+    .update("theme", themeName, destination.target);
+}
+
+/**
+ * Rebuild the master effects chain from the hapticsound.effects.* settings.
+ * The reverb uses a built-in impulse response or a user audio file.
+ * Only the Web Audio backend has effects.
+ */
+async function rebuildEffects() {
+  const generation = ++effectsGeneration;
+  if (!backend.setEffects) return;
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  const effects = normalizeEffects({
+    lowpass: config.get("effects.lowpass"),
+    highpass: config.get("effects.highpass"),
+    eqLow: config.get("effects.eqLow"),
+    eqMid: config.get("effects.eqMid"),
+    eqHigh: config.get("effects.eqHigh"),
+    reverb: config.get("effects.reverb"),
+    reverbMix: config.get("effects.reverbMix"),
+  });
+
+  let impulse;
+  if (effects.reverb) {
+    const preset = REVERB_PRESETS[effects.reverb.toLowerCase()];
+    try {
+      impulse = preset
+        ? backend.createImpulse(preset)
+        : await loadImpulse(workspacePath(effects.reverb));
+    } catch (error) {
+      warnSoundSetting(
+        `Could not load the impulse response "${effects.reverb}": ${error.message}`,
+        "hapticsound.effects.reverb"
+      );
+    }
+  }
+
+  // Settings may have changed again while the impulse response was loading
+  if (generation !== effectsGeneration) return;
+  backend.setEffects(effects, impulse);
+}
+
+/**
+ * Decode an impulse response file. It is read outside the sample cache, so
+ * that a bad file is reported against the reverb setting, not the theme.
+ */
+async function loadImpulse(filePath) {
+  if (!filePath) throw new Error("the path can't be resolved");
+  const data = await fs.promises.readFile(filePath);
+  return backend.decode(toArrayBuffer(data));
+}
+
+/**
+ * Options of the Web Audio backend from the settings
+ */
+function webAudioOptions() {
+  const seconds = vscode.workspace
+    .getConfiguration("hapticsound")
+    .get("suspendAfter");
+  return { idleTimeout: seconds * 1000 };
+}
+
+/**
+ * Create the audio backend chosen in hapticsound.audioBackend, or `start`,
+ * falling back to what works on this machine, then rebuild what depends
+ * on it
+ */
+function selectBackend(start) {
+  const choice =
+    start ||
+    vscode.workspace.getConfiguration("hapticsound").get("audioBackend") ||
+    "auto";
+
+  voiceManager.stopAll();
+  backend.dispose();
+  backend = createBackend(choice, {
+    createWebAudio: () => {
+      // The device is opened on the first sound, not to check it up front
+      const webAudio = new WebAudioBackend(undefined, {
+        ...webAudioOptions(),
+        // A bad sound fails on every keystroke, log it once
+        onError: (error) =>
+          log.once(
+            "error",
+            `Could not play through Web Audio: ${error.message}`
+          ),
+        onUnavailable: (error) => {
+          log.warn(`Web Audio has no output device: ${error.message}`);
+          setImmediate(() => {
+            if (backend === webAudio) selectBackend("external");
+          });
+        },
+      });
+      return webAudio;
+    },
+    onError: (name, error) =>
+      log.warn(`Audio backend "${name}" unavailable: ${error.message}`),
+  });
+  log.info(`Audio backend: ${backend.description}`);
+  if (backend.name === "none" && choice !== "none") {
+    vscode.window.showWarningMessage(
+      "🎹 No audio output is available, Haptic Sound will stay silent"
+    );
+  }
+
+  // Decoded samples belong to the previous backend
+  sampleCache.clear();
+  rebuildEffects();
+  preloadTheme();
+}
+
+/**
+ * Check every sound file of the active themes, play a test tone and log
+ * the state of the audio output, then reveal the log
+ */
+async function diagnoseAudio() {
+  log.show();
+  log.info("Diagnosing audio...");
+  log.info(`Backend: ${backend.description}`);
+
+  const decode = backend.decodesSamples
+    ? (data) => backend.decode(data)
+    : undefined;
+  const checked = new Set();
+  let problems = 0;
+  let playable = null;
+  for (const [name, sound] of activeSounds()) {
+    const files = soundFiles(sound);
+    if (sound && files.length === 0) log.info(`${name}: synthesized`);
+    for (const file of files) {
+      if (checked.has(file)) continue;
+      checked.add(file);
+      const result = await checkSoundFile(file, decode);
+      if (result.error) {
+        problems++;
+        log.error(`${name}: ${describeSoundFile(result)}`);
+      } else {
+        playable = playable || file;
+        log.info(`${name}: ${describeSoundFile(result)}`);
+      }
+    }
+  }
+
+  // A short A4 sine, or the first sound file where synths don't play
+  const { volume } = getConfig();
+  const tone = normalizeSynth({
+    waveform: "sine",
+    frequency: 440,
+    attack: 0.01,
+    decay: 0.5,
+    filter: null,
+  });
+  let played = backend.play(
+    { synth: tone },
+    { gain: volume, pan: 0, rate: 1, onEnded() {} }
+  );
+  if (!played && playable) {
+    const audioBuffer = decode ? await sampleCache.get(playable) : undefined;
+    played = backend.play(
+      { file: playable },
+      { audioBuffer, gain: volume, pan: 0, rate: 1, onEnded() {} }
+    );
+  }
+  if (backend.name === "none") {
+    // The silent backend takes every sound without producing any
+    problems++;
+    const choice = vscode.workspace
+      .getConfiguration("hapticsound")
+      .get("audioBackend");
+    log.error(
+      choice === "none"
+        ? 'No sound was produced: hapticsound.audioBackend is "none"'
+        : "No sound was produced: no audio output is available"
+    );
+  } else if (played) {
+    log.info("Played a test tone");
+  } else {
+    problems++;
+    log.error("Could not play a test tone");
+  }
+
+  if (backend.status) {
+    const { state, sampleRate, baseLatency, outputLatency } = backend.status();
+    const ms = (seconds) =>
+      Number.isFinite(seconds) ? `${(seconds * 1000).toFixed(1)} ms` : "n/a";
+    log.info(
+      `Audio context: ${state}, ${sampleRate || "n/a"} Hz, ` +
+        `base latency ${ms(baseLatency)}, output latency ${ms(outputLatency)}`
+    );
+  }
+  if (!isAudible(getConfig())) {
+    log.warn('Sounds are muted, see "Haptic Sound: Why Are Sounds Muted?"');
+  }
+
+  log.info(
+    problems === 0
+      ? "No problems found"
+      : `${problems} problem${problems === 1 ? "" : "s"} found`
+  );
+}
+
+/**
+ * Tell API subscribers about a change of the enabled, mute, theme or
+ * volume state
+ */
+function fireStateChange(config) {
+  const state = {
+    enabled: config.enabled,
+    muted: config.enabled && !isAudible(config),
+    themeName: config.themeName,
+    volume: Math.round(config.volume * 100),
+  };
+  const serialized = JSON.stringify(state);
+  if (serialized === lastApiState) return;
+  lastApiState = serialized;
+  stateChangedEmitter.fire(state);
+}
+
+/**
+ * Whether an extension may use the API, from hapticsound.api.*
+ */
+function isApiCallerAllowed(extensionId) {
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  const allowed = isExtensionAllowed(extensionId, {
+    allow: config.get("api.allowedExtensions") || ["*"],
+    block: config.get("api.blockedExtensions") || [],
+  });
+  if (!allowed) {
+    log.once("warn", `Blocked Haptic Sound API calls from ${extensionId}`);
+  }
+  return allowed;
+}
+
+/**
+ * Play a theme event or a sound registered by the calling extension, with
+ * the user's settings and mute state
+ */
+async function playFromApi(extensionId, name, options) {
+  const editor = vscode.window.activeTextEditor;
+  const config = getConfig(editor && editor.document);
+
+  const registered = apiSounds.get(extensionId);
+  const custom = registered && registered.get(name);
+  if (!custom && !SOUND_KINDS.includes(name)) {
+    throw new Error(`Unknown sound "${name}"`);
+  }
+  if (!isAudible(config, { event: true })) return false;
+
+  // Finite numbers, checked by the API
+  const volume = Math.min(1, Math.max(0, options.volume ?? 1));
+  const pan = Math.min(1, Math.max(-1, options.pan ?? 0));
+  return playSound(custom || config.sounds[name], custom ? "custom" : name, {
+    volume: config.volume * volume,
+    pan,
+    extensionId,
+  });
+}
+
+/**
+ * Folder relative sound paths of an extension resolve against: the one it
+ * gave, or its install folder
+ */
+function apiBaseDir(extensionId, baseDir) {
+  if (baseDir) return baseDir;
+  const extension = vscode.extensions.getExtension(extensionId);
+  return extension ? extension.extensionPath : __dirname;
+}
+
+/**
+ * Register a sound an extension plays by id through the API
+ */
+function registerApiSound(extensionId, id, sound, baseDir) {
+  const normalized = normalizeSound(sound, apiBaseDir(extensionId, baseDir));
+  if (!normalized) throw new Error(`Invalid sound "${id}"`);
+
+  if (!apiSounds.has(extensionId)) apiSounds.set(extensionId, new Map());
+  const sounds = apiSounds.get(extensionId);
+  sounds.set(id, normalized);
+  if (backend.decodesSamples) sampleCache.preload(soundFiles(normalized));
+  log.info(`${extensionId} registered the sound "${id}"`);
+
+  return {
+    dispose() {
+      if (sounds.get(id) === normalized) sounds.delete(id);
+    },
+  };
+}
+
+/**
+ * Names of the bundled themes, sound packs and user and workspace themes
+ */
+function installedThemeNames() {
+  return new Set(
+    Object.keys({
+      ...loadBundledThemes(),
+      ...loadSoundPacks(soundPacksPath),
+      ...loadThemeSources(themeSourcePaths()),
+    })
+  );
+}
+
+/**
+ * Add a theme from an extension, selectable like the others until disposed.
+ * Throws when the name is taken by an installed theme or another
+ * extension's.
+ */
+function registerApiTheme(extensionId, name, theme, baseDir) {
+  const themeName = name.toLowerCase();
+  const registered = apiThemes.get(themeName);
+  if (
+    registered
+      ? registered.extensionId !== extensionId
+      : installedThemeNames().has(themeName)
+  ) {
+    throw new Error(`A theme named "${themeName}" already exists`);
+  }
+  const entry = {
+    extensionId,
+    theme: normalizeTheme(theme, apiBaseDir(extensionId, baseDir)),
+  };
+  apiThemes.set(themeName, entry);
+  log.info(`${extensionId} registered the theme "${themeName}"`);
+  reloadThemes();
+
+  return {
+    dispose() {
+      if (apiThemes.get(themeName) !== entry) return;
+      apiThemes.delete(themeName);
+      reloadThemes();
+    },
+  };
+}
+
+/**
+ * Drop the sounds and themes of extensions blocked since they registered
+ * them, after hapticsound.api.* changed
+ */
+function dropBlockedRegistrations() {
+  for (const extensionId of apiSounds.keys()) {
+    if (!isApiCallerAllowed(extensionId)) apiSounds.delete(extensionId);
+  }
+  let themesChanged = false;
+  for (const [themeName, { extensionId }] of apiThemes) {
+    if (isApiCallerAllowed(extensionId)) continue;
+    apiThemes.delete(themeName);
+    themesChanged = true;
+  }
+  if (themesChanged) reloadThemes();
+}
+
+/**
+ * Show the typing stats dashboard
+ */
+function showStats() {
+  typingStats.flush();
+  showStatsPanel(
+    () => typingStats.summary(),
+    async (command, format) => {
+      if (command === "export") await exportStats(format);
+      if (command === "clear") await clearStats();
+    }
+  );
+}
+
+/**
+ * Save the typing stats as CSV or JSON, asking for the format when not given
+ */
+async function exportStats(format) {
+  if (!format) {
+    const picked = await vscode.window.showQuickPick(["CSV", "JSON"], {
+      title: "Export typing stats as",
+    });
+    if (!picked) return;
+    format = picked.toLowerCase();
+  }
+
+  const folders = vscode.workspace.workspaceFolders || [];
+  const fileName = `typing-stats.${format}`;
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(
+      path.join(
+        folders.length > 0 ? folders[0].uri.fsPath : os.homedir(),
+        fileName
+      )
+    ),
+    filters: format === "csv" ? { CSV: ["csv"] } : { JSON: ["json"] },
+  });
+  if (!uri) return;
+
+  try {
+    const content =
+      format === "csv" ? typingStats.toCSV() : typingStats.toJSON();
+    await fs.promises.writeFile(uri.fsPath, content);
+    vscode.window.showInformationMessage(
+      `🎹 Typing stats exported to ${path.basename(uri.fsPath)}`
+    );
+  } catch (e) {
+    vscode.window.showErrorMessage(
+      `🎹 Failed to export typing stats: ${e.message}`
+    );
+  }
+}
+
+/**
+ * Forget every typing count after confirmation
+ */
+async function clearStats() {
+  const choice = await vscode.window.showWarningMessage(
+    "Clear all typing stats?",
+    { modal: true },
+    "Clear"
+  );
+  if (choice === "Clear") await typingStats.clear();
+}
+
+/**
+ * Update the diagnostics debounce delay from settings
+ */
+function updateDiagnostics() {
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  diagnosticsTracker.debounce = config.get("diagnosticDelay") ?? 1000;
+}
+
+/**
+ * Update the typing dynamics curves and the random seed from settings
+ */
+function updateDynamics() {
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  const seed = config.get("dynamics.seed");
+  random = typeof seed === "number" ? createRandom(seed) : Math.random;
+  dynamicsEnabled = config.get("dynamics.enabled") === true;
+  typingDynamics.configure(
+    {
+      velocity: config.get("dynamics.velocity"),
+      pitch: config.get("dynamics.pitch"),
+      curve: config.get("dynamics.curve"),
+      fastInterval: config.get("dynamics.fastInterval"),
+      slowInterval: config.get("dynamics.slowInterval"),
+      sustainAfter: config.get("dynamics.sustainAfter"),
+      sustainGain: config.get("dynamics.sustainGain"),
+    },
+    random
+  );
+}
+
+/**
+ * Update the key, scale, melody and octave range of musical typing
+ */
+function updateMusical() {
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  musicalEnabled = config.get("musical.enabled") === true;
+  musicalTyping.configure({
+    key: config.get("musical.key"),
+    scale: config.get("musical.scale"),
+    octaves: config.get("musical.octaves"),
+    melody: config.get("musical.melody"),
+  });
+}
+
+/**
+ * Update polyphony and rate limits from settings
+ */
+function updateVoices() {
+  const config = vscode.workspace.getConfiguration("hapticsound");
+  voiceManager.configure({
+    maxVoices: config.get("maxVoices"),
+    minIntervals: config.get("minInterval"),
+  });
+}
+
+/**
+ * In-memory Memento used when the context has no globalState, e.g. when
+ * activated by hand in tests. Nothing survives a reload.
+ */
+function memoryMemento() {
+  const values = new Map();
+  return {
+    get: (key) => values.get(key),
+    update: async (key, value) => {
+      values.set(key, value);
+    },
+  };
 }
 
 /**
  * Extension activation
  */
 function activate(context) {
-  // Initialize volume from settings
-  updateVolume();
+  const outputChannel = vscode.window.createOutputChannel("Haptic Sound", {
+    log: true,
+  });
+  log.setTarget(outputChannel);
+  if (context.globalStorageUri) {
+    soundPacksPath = path.join(context.globalStorageUri.fsPath, "packs");
+  }
+  themesCache = null;
+  clearConfigCache();
+  const globalState = context.globalState || memoryMemento();
+  muteState = new MuteState(globalState, updateStatusBar);
+  typingStats = new TypingStats(globalState);
+  windowFocused = vscode.window.state.focused;
+  accessibilitySupport = vscode.workspace
+    .getConfiguration("editor")
+    .get("accessibilitySupport");
+
+  // Initialize from settings
+  updateVoices();
+  updateDiagnostics();
+  updateDynamics();
+  updateMusical();
+  selectBackend();
+  watchThemeSources();
 
   const onType = vscode.workspace.onDidChangeTextDocument(handleTyping);
   const onSave = vscode.workspace.onDidSaveTextDocument(handleSave);
+  const onDiagnostics =
+    vscode.languages.onDidChangeDiagnostics(handleDiagnostics);
+  const onClose = vscode.workspace.onDidCloseTextDocument((document) =>
+    diagnosticsTracker.forget(document.uri.toString())
+  );
+  const onTaskStart = vscode.tasks.onDidStartTaskProcess(handleTaskStart);
+  const onTaskEnd = vscode.tasks.onDidEndTaskProcess(handleTaskEnd);
+  const onDebugStart = vscode.debug.onDidStartDebugSession(() =>
+    handleDebugEvent("debugStarted")
+  );
+  const onDebugStop = vscode.debug.onDidTerminateDebugSession(() =>
+    handleDebugEvent("debugStopped")
+  );
+  const debugTracker = vscode.debug.registerDebugAdapterTrackerFactory(
+    "*",
+    createDebugTrackerFactory(handleDebugEvent)
+  );
 
-  // Listen for configuration changes to update volume dynamically
+  // Listen for configuration changes to apply them dynamically
   const onConfigChange = vscode.workspace.onDidChangeConfiguration((event) => {
+    if (event.affectsConfiguration("editor.accessibilitySupport")) {
+      accessibilitySupport = vscode.workspace
+        .getConfiguration("editor")
+        .get("accessibilitySupport");
+      updateStatusBar();
+    }
+    if (
+      event.affectsConfiguration("editor.wordWrap") ||
+      event.affectsConfiguration("editor.wordWrapColumn") ||
+      event.affectsConfiguration("editor.rulers")
+    ) {
+      clearConfigCache();
+    }
+    if (!event.affectsConfiguration("hapticsound")) return;
+    clearConfigCache();
+    log.reset();
+
+    if (event.affectsConfiguration("hapticsound.themePaths")) {
+      watchThemeSources();
+      reloadThemes();
+    } else if (
+      event.affectsConfiguration("hapticsound.theme") ||
+      event.affectsConfiguration("hapticsound.profiles")
+    ) {
+      preloadTheme();
+    }
     if (
-      event.affectsConfiguration("hapticsound.volume") ||
-      event.affectsConfiguration("hapticsound.enabled")
+      event.affectsConfiguration("hapticsound.maxVoices") ||
+      event.affectsConfiguration("hapticsound.minInterval")
     ) {
-      updateVolume();
+      updateVoices();
+    }
+    if (event.affectsConfiguration("hapticsound.diagnosticDelay")) {
+      updateDiagnostics();
+    }
+    if (event.affectsConfiguration("hapticsound.api")) {
+      dropBlockedRegistrations();
+    }
+    if (event.affectsConfiguration("hapticsound.audioBackend")) {
+      selectBackend();
+    } else if (event.affectsConfiguration("hapticsound.effects")) {
+      rebuildEffects();
+    }
+    if (
+      event.affectsConfiguration("hapticsound.suspendAfter") &&
+      backend.configure
+    ) {
+      backend.configure(webAudioOptions());
+    }
+    if (event.affectsConfiguration("hapticsound.dynamics")) {
+      updateDynamics();
     }
+    if (event.affectsConfiguration("hapticsound.musical")) {
+      updateMusical();
+    }
+    updateStatusBar();
+  });
+
+  const onFoldersChange = vscode.workspace.onDidChangeWorkspaceFolders(() => {
+    watchThemeSources();
+    reloadThemes();
+  });
+  const onTrustGranted = vscode.workspace.onDidGrantWorkspaceTrust(() => {
+    watchThemeSources();
+    reloadThemes();
+  });
+  const themeWatchersDisposable = {
+    dispose() {
+      clearTimeout(themeReloadTimer);
+      themeWatchers.forEach((watcher) => watcher.dispose());
+      themeWatchers = [];
+    },
+  };
+
+  statusBarItem = vscode.window.createStatusBarItem(
+    vscode.StatusBarAlignment.Right,
+    100
+  );
+  statusBarItem.name = "Haptic Sound";
+  statusBarItem.command = "hapticsound.showMenu";
+  updateStatusBar();
+  statusBarItem.show();
+  const onEditorChange = vscode.window.onDidChangeActiveTextEditor(
+    (editor) => {
+      if (editor) rememberLine(editor.document, editor.selection.active.line);
+      updateStatusBar();
+    }
+  );
+  const onSelectionChange = vscode.window.onDidChangeTextEditorSelection(
+    (event) =>
+      rememberLine(event.textEditor.document, event.selections[0].active.line)
+  );
+  const onWindowState = vscode.window.onDidChangeWindowState((state) => {
+    windowFocused = state.focused;
+    updateStatusBar();
   });
 
   // Register commands
@@ -248,19 +1622,92 @@ function activate(context) {
     "hapticsound.toggle",
     toggleEnabled
   );
-  context.subscriptions.push(onType, onSave, onConfigChange, toggleCommand);
+  const toggleMuteCommand = vscode.commands.registerCommand(
+    "hapticsound.toggleMute",
+    toggleMute
+  );
+  const menuCommand = vscode.commands.registerCommand(
+    "hapticsound.showMenu",
+    showMenu
+  );
+  const explainMuteCommand = vscode.commands.registerCommand(
+    "hapticsound.explainMute",
+    explainMute
+  );
+  const statsCommand = vscode.commands.registerCommand(
+    "hapticsound.showStats",
+    showStats
+  );
+  const exportStatsCommand = vscode.commands.registerCommand(
+    "hapticsound.exportStats",
+    () => exportStats()
+  );
+  const importCommand = vscode.commands.registerCommand(
+    "hapticsound.importSoundPack",
+    importSoundPackCommand
+  );
+  const selectThemeCommand = vscode.commands.registerCommand(
+    "hapticsound.selectTheme",
+    selectTheme
+  );
+  const diagnoseCommand = vscode.commands.registerCommand(
+    "hapticsound.diagnoseAudio",
+    diagnoseAudio
+  );
+  context.subscriptions.push(
+    onType,
+    onSave,
+    onDiagnostics,
+    onClose,
+    onTaskStart,
+    onTaskEnd,
+    onDebugStart,
+    onDebugStop,
+    debugTracker,
+    onConfigChange,
+    onFoldersChange,
+    onTrustGranted,
+    themeWatchersDisposable,
+    statusBarItem,
+    onEditorChange,
+    onSelectionChange,
+    onWindowState,
+    muteState,
+    typingStats,
+    toggleCommand,
+    toggleMuteCommand,
+    menuCommand,
+    explainMuteCommand,
+    statsCommand,
+    exportStatsCommand,
+    importCommand,
+    selectThemeCommand,
+    diagnoseCommand,
+    outputChannel,
+    sampleCache,
+    diagnosticsTracker,
+    taskTracker
+  );
 
   vscode.window.showInformationMessage("🎹 Typewriter Sounds activated!");
+
+  return createApi({
+    isInstalled: (extensionId) =>
+      vscode.extensions.getExtension(extensionId) !== undefined,
+    isAllowed: isApiCallerAllowed,
+    play: playFromApi,
+    registerSound: registerApiSound,
+    registerTheme: registerApiTheme,
+    onDidPlaySound: soundPlayedEmitter.event,
+    onDidChangeState: stateChangedEmitter.event,
+  });
 }
 
 function deactivate() {
-  try {
-    if (audioContext && typeof audioContext.close === "function") {
-      audioContext.close();
-    }
-  } catch (e) {
-    // Ignore shutdown errors
-  }
+  voiceManager.stopAll();
+  backend.dispose();
+  backend = new NullBackend();
+  log.setTarget(console);
 }
 
 module.exports = {
@@ -269,4 +1716,5 @@ module.exports = {
   resolveSound,
   getThemesMap,
   isLikelyPath,
+  getBackend: () => backend,
 };
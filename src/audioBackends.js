@@ -0,0 +1,314 @@
+"use strict";
+const childProcess = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * An audio backend plays the voices started by playSound. Every backend has:
+ * - name and description, for the setting and diagnostics,
+ * - decodesSamples: whether files are decoded (into the sample cache) before
+ *   being handed to play(),
+ * - play(variant, { audioBuffer, gain, pan, rate, onEnded }): start a voice
+ *   and return it as { stop() }, or null when the variant can't be played,
+ * - dispose().
+ * The Web Audio backend also has decode(), status(), configure(),
+ * createImpulse() and setEffects().
+ *
+ * @typedef {{ audioBuffer?: any, gain: number, pan: number, rate: number, onEnded: () => void }} PlayOptions
+ * @typedef {object} AudioBackend
+ * @property {string} name
+ * @property {string} description
+ * @property {boolean} decodesSamples
+ * @property {(variant: any, options: PlayOptions) => { stop(): void } | null} play
+ * @property {() => void} dispose
+ * @property {(data: ArrayBuffer) => Promise<any>} [decode]
+ * @property {() => { state: string, sampleRate?: number, baseLatency?: number, outputLatency?: number }} [status]
+ * @property {(options: { idleTimeout?: number }) => void} [configure]
+ * @property {(preset: string) => any} [createImpulse]
+ * @property {(effects: any, impulse: any) => void} [setEffects]
+ */
+
+// Detection order of the "auto" choice
+const BACKEND_NAMES = ["webaudio", "external", "none"];
+
+// Plays kept by the null backend
+const MAX_RECORDED_PLAYS = 100;
+
+/**
+ * Backend that plays nothing, for headless hosts, and records what it was
+ * asked to play, for tests
+ */
+class NullBackend {
+  constructor() {
+    this.name = "none";
+    this.description = "None (silent)";
+    this.decodesSamples = false;
+    /** @type {{ file?: string, synth?: any, gain: number, pan: number, rate: number }[]} */
+    this.plays = [];
+  }
+
+  play(variant, { gain, pan, rate, onEnded }) {
+    const { file, synth } = variant;
+    this.plays.push({ file, synth, gain, pan, rate });
+    if (this.plays.length > MAX_RECORDED_PLAYS) this.plays.shift();
+    setImmediate(onEnded);
+    return { stop() {} };
+  }
+
+  dispose() {
+    this.plays = [];
+  }
+}
+
+// Players looked up on the PATH outside Windows, in order of preference
+const PLAYERS = [
+  "mplayer",
+  "afplay",
+  "mpg123",
+  "mpg321",
+  "play",
+  "aplay",
+  "cvlc",
+];
+
+// Command line arguments setting the volume (0-1) of players that have one
+const VOLUME_ARGS = {
+  afplay: (gain) => ["-v", String(gain)],
+  mplayer: (gain) => ["-volume", String(Math.round(gain * 100))],
+  mpg123: (gain) => ["-f", String(Math.round(gain * 32768))],
+  play: (gain) => ["-q", "-v", String(gain)],
+  cvlc: (gain) => ["--play-and-exit", "--gain", String(gain)],
+};
+
+/**
+ * The first of `names` that is an executable on the PATH, or null
+ */
+function findOnPath(names, env = process.env) {
+  const dirs = (env.PATH || "").split(path.delimiter).filter(Boolean);
+  for (const name of names) {
+    for (const dir of dirs) {
+      try {
+        fs.accessSync(path.join(dir, name), fs.constants.X_OK);
+        return name;
+      } catch {
+        // Not in this folder
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Player running `command` once per sound. The file is passed as an
+ * argument, never through a shell, so any path is safe to play.
+ *
+ * @param {string} command
+ * @param {(command: string, args: string[], options: object) => any} [spawn]
+ */
+function commandPlayer(command, spawn = childProcess.spawn) {
+  return {
+    name: command,
+    play(file, gain, onEnded) {
+      const volumeArgs = VOLUME_ARGS[command];
+      const args = [...(volumeArgs ? volumeArgs(gain) : []), file];
+      const child = spawn(command, args, { stdio: "ignore" });
+      let ended = false;
+      const end = () => {
+        if (ended) return;
+        ended = true;
+        onEnded();
+      };
+      child.on("error", end);
+      child.on("close", end);
+      return { stop: () => child.kill() };
+    },
+  };
+}
+
+// PowerShell loop playing the sounds written to its input, one per line:
+// "<id>\t<volume>\t<path>" plays a file, "<id>" stops it. It writes
+// "<id>" back when a sound ends.
+const WINDOWS_PLAYER_SCRIPT = `
+Add-Type -AssemblyName presentationCore
+$players = @{}
+$line = [Console]::In.ReadLineAsync()
+while ($true) {
+  if ($line.Wait(50)) {
+    if ($null -eq $line.Result) { break }
+    $id, $volume, $file = $line.Result -split "\`t", 3
+    if ($players.ContainsKey($id)) {
+      $players[$id].Close()
+      $players.Remove($id)
+    }
+    if ($null -ne $file) {
+      $player = New-Object System.Windows.Media.MediaPlayer
+      $player.Volume = [double]::Parse($volume, [Globalization.CultureInfo]::InvariantCulture)
+      $player.Open([Uri]::new($file))
+      $player.Play()
+      $players[$id] = $player
+    }
+    $line = [Console]::In.ReadLineAsync()
+  }
+  foreach ($id in @($players.Keys)) {
+    $player = $players[$id]
+    if ($player.NaturalDuration.HasTimeSpan -and
+        $player.Position -ge $player.NaturalDuration.TimeSpan) {
+      $player.Close()
+      $players.Remove($id)
+      [Console]::Out.WriteLine($id)
+    }
+  }
+}
+`;
+
+/**
+ * Windows player: a single PowerShell process, started on the first sound,
+ * plays every sound with the Windows Media Player. Paths are sent to it as
+ * data, never as code.
+ *
+ * @param {(command: string, args: string[], options: object) => any} [spawn]
+ */
+function windowsPlayer(spawn = childProcess.spawn) {
+  let child = null;
+  let nextId = 0;
+  /** @type {Map<string, () => void>} */
+  const playing = new Map();
+
+  const endAll = () => {
+    const ends = [...playing.values()];
+    playing.clear();
+    for (const end of ends) end();
+  };
+  const start = () => {
+    const script = Buffer.from(WINDOWS_PLAYER_SCRIPT, "utf16le");
+    const spawned = spawn(
+      "powershell",
+      [
+        "-NoProfile",
+        "-NonInteractive",
+        "-EncodedCommand",
+        script.toString("base64"),
+      ],
+      { stdio: ["pipe", "pipe", "ignore"], windowsHide: true }
+    );
+    let output = "";
+    spawned.stdout.on("data", (data) => {
+      output += data;
+      const lines = output.split(/\r?\n/);
+      output = lines.pop();
+      for (const id of lines) {
+        const end = playing.get(id);
+        playing.delete(id);
+        if (end) end();
+      }
+    });
+    spawned.stdin.on("error", () => {});
+    spawned.on("error", () => {});
+    spawned.on("close", () => {
+      if (child === spawned) child = null;
+      endAll();
+    });
+    return spawned;
+  };
+
+  return {
+    name: "Windows Media Player",
+    play(file, gain, onEnded) {
+      // One sound per line
+      if (/[\t\r\n]/.test(file)) return null;
+      if (!child) child = start();
+      const id = String(++nextId);
+      playing.set(id, onEnded);
+      child.stdin.write(`${id}\t${gain}\t${file}\n`);
+      return {
+        stop: () => {
+          if (!playing.delete(id) || !child) return;
+          child.stdin.write(`${id}\n`);
+        },
+      };
+    },
+    dispose() {
+      if (child) child.kill();
+      child = null;
+      playing.clear();
+    },
+  };
+}
+
+/**
+ * Backend spawning an external player for each sound. It only plays whole
+ * files: no pitch, panning, synthesized sounds, sprites or effects.
+ */
+class ExternalPlayerBackend {
+  /**
+   * @param {{ name: string, play: (file: string, gain: number, onEnded: () => void) => { stop: () => void } | null, dispose?: () => void }} player
+   */
+  constructor(player) {
+    this.name = "external";
+    this.description = `External player (${player.name})`;
+    this.decodesSamples = false;
+    this.player = player;
+  }
+
+  play(variant, { gain, onEnded }) {
+    // Sprites of sound packs would play the whole file
+    if (!variant.file || variant.offset !== undefined) return null;
+    if (variant.duration !== undefined) return null;
+    return this.player.play(variant.file, Math.min(1, gain), onEnded);
+  }
+
+  dispose() {
+    if (this.player.dispose) this.player.dispose();
+  }
+}
+
+/**
+ * Find an external player for this platform, or null
+ */
+function findExternalPlayer(platform = process.platform) {
+  if (platform === "win32") return windowsPlayer();
+  const command = findOnPath(PLAYERS);
+  return command ? commandPlayer(command) : null;
+}
+
+/**
+ * Create the backend for a choice: "auto" tries Web Audio, then an external
+ * player, then falls back to the null backend. A forced choice that can't
+ * be created falls back the same way, starting after it. Failures are
+ * reported through onError.
+ *
+ * @param {string} choice "auto" | "webaudio" | "external" | "none"
+ * @param {{ createWebAudio: () => any, findPlayer?: () => any, onError?: (name: string, error: Error) => void }} options
+ */
+function createBackend(choice, { createWebAudio, findPlayer, onError }) {
+  const factories = {
+    webaudio: createWebAudio,
+    external: () => {
+      const player = (findPlayer || findExternalPlayer)();
+      if (!player) throw new Error("No audio player found");
+      return new ExternalPlayerBackend(player);
+    },
+    none: () => new NullBackend(),
+  };
+
+  const start = Math.max(0, BACKEND_NAMES.indexOf(choice));
+  for (const name of BACKEND_NAMES.slice(start)) {
+    try {
+      return factories[name]();
+    } catch (e) {
+      if (onError) onError(name, e);
+    }
+  }
+  return new NullBackend();
+}
+
+module.exports = {
+  BACKEND_NAMES,
+  NullBackend,
+  ExternalPlayerBackend,
+  findOnPath,
+  commandPlayer,
+  windowsPlayer,
+  findExternalPlayer,
+  createBackend,
+};
@@ -0,0 +1,90 @@
+"use strict";
+const fs = require("fs");
+const { toArrayBuffer } = require("./sampleCache");
+
+/**
+ * Highest absolute sample value of a decoded buffer, 0-1 for sound
+ * that doesn't clip
+ */
+function peakLevel(audioBuffer) {
+  let peak = 0;
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    const data = audioBuffer.getChannelData(channel);
+    for (let i = 0; i < data.length; i++) {
+      const level = Math.abs(data[i]);
+      if (level > peak) peak = level;
+    }
+  }
+  return peak;
+}
+
+/**
+ * Level in dBFS, -Infinity for silence
+ */
+function toDecibels(level) {
+  return 20 * Math.log10(level);
+}
+
+/**
+ * Check that a sound file exists and, with a decoder, that it decodes.
+ * Never throws, problems are returned in `error`.
+ *
+ * @param {string} file
+ * @param {(data: ArrayBuffer) => Promise<any>} [decode]
+ * @returns {Promise<{ file: string, bytes?: number, sampleRate?: number, duration?: number, channels?: number, peak?: number, error?: string }>}
+ */
+async function checkSoundFile(file, decode) {
+  let data;
+  try {
+    data = await fs.promises.readFile(file);
+  } catch (e) {
+    return {
+      file,
+      error: e.code === "ENOENT" ? "file not found" : e.message,
+    };
+  }
+  if (!decode) return { file, bytes: data.byteLength };
+
+  try {
+    const audioBuffer = await decode(toArrayBuffer(data));
+    return {
+      file,
+      bytes: data.byteLength,
+      sampleRate: audioBuffer.sampleRate,
+      duration: audioBuffer.duration,
+      channels: audioBuffer.numberOfChannels,
+      peak: peakLevel(audioBuffer),
+    };
+  } catch (e) {
+    return {
+      file,
+      bytes: data.byteLength,
+      error: `can't decode: ${e.message}`,
+    };
+  }
+}
+
+/**
+ * One line describing the result of checkSoundFile
+ */
+function describeSoundFile(result) {
+  if (result.error) return `${result.file}: ${result.error}`;
+  if (result.sampleRate === undefined) {
+    return `${result.file}: ${result.bytes} bytes (not decoded)`;
+  }
+
+  let peak = `peak ${toDecibels(result.peak).toFixed(1)} dBFS`;
+  if (result.peak === 0) peak = "silent";
+  if (result.peak >= 1) peak += " (clips)";
+  return (
+    `${result.file}: ${result.sampleRate} Hz, ` +
+    `${result.duration.toFixed(3)} s, ${result.channels} ch, ${peak}`
+  );
+}
+
+module.exports = {
+  peakLevel,
+  toDecibels,
+  checkSoundFile,
+  describeSoundFile,
+};
@@ -0,0 +1,78 @@
+"use strict";
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Minutes since midnight of a "HH:MM" time, or undefined when invalid
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return undefined;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return undefined;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether `date` falls in the quiet hours { start, end, days }.
+ * start and end are "HH:MM" local times; a range like 22:00-07:00 runs
+ * overnight and belongs to the day it starts on. days ("mon", "tue", ...)
+ * limits the schedule to some days of the week, every day when empty.
+ *
+ * @param {{ start?: string, end?: string, days?: string[] } | null | undefined} quietHours
+ * @param {Date} date
+ */
+function inQuietHours(quietHours, date) {
+  if (!quietHours || typeof quietHours !== "object") return false;
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (start === undefined || end === undefined || start === end) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  let day = date.getDay();
+  if (start < end) {
+    if (minutes < start || minutes >= end) return false;
+  } else {
+    if (minutes < start && minutes >= end) return false;
+    // After midnight, the range started the day before
+    if (minutes < end) day = (day + 6) % 7;
+  }
+
+  const days = Array.isArray(quietHours.days) ? quietHours.days : [];
+  return (
+    days.length === 0 ||
+    days.some((name) => String(name).slice(0, 3).toLowerCase() === DAYS[day])
+  );
+}
+
+/**
+ * The first automatic muting rule that applies, or null when none does.
+ *
+ * @param {{ unfocused: boolean, screenReader: boolean, quietHours: any }} rules
+ *   the enabled rules, from settings
+ * @param {{ focused: boolean, accessibilitySupport: string, date: Date }} state
+ * @returns {{ rule: "unfocused" | "screenReader" | "quietHours", reason: string } | null}
+ */
+function mutingRule(rules, state) {
+  if (rules.unfocused && !state.focused) {
+    return { rule: "unfocused", reason: "the window is not focused" };
+  }
+  if (rules.screenReader && state.accessibilitySupport === "on") {
+    return {
+      rule: "screenReader",
+      reason: "screen reader support is on (editor.accessibilitySupport)",
+    };
+  }
+  if (inQuietHours(rules.quietHours, state.date)) {
+    const { start, end } = rules.quietHours;
+    return { rule: "quietHours", reason: `quiet hours (${start}-${end})` };
+  }
+  return null;
+}
+
+module.exports = {
+  parseTime,
+  inQuietHours,
+  mutingRule,
+};
@@ -0,0 +1,44 @@
+"use strict";
+
+// Debug Adapter Protocol "stopped" reasons and the sound kind for each.
+// "pause", "entry" and "goto" are triggered by the user and stay silent.
+const STOPPED_KINDS = {
+  breakpoint: "breakpointHit",
+  "function breakpoint": "breakpointHit",
+  "data breakpoint": "breakpointHit",
+  "instruction breakpoint": "breakpointHit",
+  exception: "exceptionStopped",
+  step: "stepStopped",
+};
+
+/**
+ * The sound kind for a "stopped" event reason, or null.
+ */
+function stoppedKind(reason) {
+  return STOPPED_KINDS[reason] || null;
+}
+
+/**
+ * Debug adapter tracker factory watching every session for "stopped" events.
+ * onStopped receives the sound kind and the debug session.
+ *
+ * @param {(kind: string, session: any) => void} onStopped
+ */
+function createDebugTrackerFactory(onStopped) {
+  return {
+    createDebugAdapterTracker(session) {
+      return {
+        onDidSendMessage(message) {
+          if (message.type !== "event" || message.event !== "stopped") return;
+          const kind = stoppedKind(message.body && message.body.reason);
+          if (kind) onStopped(kind, session);
+        },
+      };
+    },
+  };
+}
+
+module.exports = {
+  stoppedKind,
+  createDebugTrackerFactory,
+};
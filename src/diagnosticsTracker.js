@@ -0,0 +1,106 @@
+"use strict";
+
+const DEFAULT_DEBOUNCE = 1000;
+
+/**
+ * Count errors and warnings in a list of diagnostics.
+ * Severity values follow vscode.DiagnosticSeverity (Error = 0, Warning = 1).
+ */
+function countDiagnostics(diagnostics) {
+  let errors = 0;
+  let warnings = 0;
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.severity === 0) errors++;
+    else if (diagnostic.severity === 1) warnings++;
+  }
+  return { errors, warnings };
+}
+
+/**
+ * The sound kind for a change in counts, or null when nothing noteworthy
+ * happened.
+ */
+function transitionKind(previous, next) {
+  if (previous.errors === 0 && next.errors > 0) return "errorIntroduced";
+  if (previous.errors > 0 && next.errors === 0) return "errorsCleared";
+  if (next.errors === 0 && previous.warnings === 0 && next.warnings > 0) {
+    return "warningIntroduced";
+  }
+  return null;
+}
+
+/**
+ * Tracks error/warning counts per document and reports transitions
+ * (first error, last error fixed, first warning) once the counts have
+ * stopped changing for `debounce` milliseconds, so language servers that
+ * republish diagnostics while typing don't cause a burst of sounds.
+ *
+ * The first counts seen for a document are only recorded, so opening a file
+ * that already has errors stays silent.
+ */
+class DiagnosticsTracker {
+  /**
+   * @param {(key: string, kind: string) => void} onTransition
+   * @param {{ debounce?: number }} [options]
+   */
+  constructor(onTransition, options = {}) {
+    this.onTransition = onTransition;
+    this.debounce = options.debounce ?? DEFAULT_DEBOUNCE;
+    /** @type {Map<string, { errors: number, warnings: number }>} */
+    this.settled = new Map();
+    /** @type {Map<string, NodeJS.Timeout>} */
+    this.timers = new Map();
+  }
+
+  /**
+   * Record the latest counts for a document.
+   */
+  update(key, counts) {
+    if (!this.settled.has(key)) {
+      this.settled.set(key, counts);
+      return;
+    }
+
+    clearTimeout(this.timers.get(key));
+    this.timers.set(
+      key,
+      setTimeout(() => this.settle(key, counts), this.debounce)
+    );
+  }
+
+  /**
+   * Stop tracking a document, e.g. when it is closed.
+   */
+  forget(key) {
+    clearTimeout(this.timers.get(key));
+    this.timers.delete(key);
+    this.settled.delete(key);
+  }
+
+  dispose() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    this.settled.clear();
+  }
+
+  /**
+   * @private
+   */
+  settle(key, counts) {
+    this.timers.delete(key);
+    const previous = this.settled.get(key);
+    this.settled.set(key, counts);
+    if (!previous) return;
+
+    const kind = transitionKind(previous, counts);
+    if (kind) this.onTransition(key, kind);
+  }
+}
+
+module.exports = {
+  DiagnosticsTracker,
+  countDiagnostics,
+  transitionKind,
+};
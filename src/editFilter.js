@@ -0,0 +1,78 @@
+"use strict";
+
+const DEFAULT_SCHEMES = [
+  "file",
+  "untitled",
+  "vscode-notebook-cell",
+  "vscode-remote",
+  "vscode-userdata",
+];
+
+/**
+ * Whether a document change comes from the user typing in an editor, as
+ * opposed to output channels, diff views or documents changed in the
+ * background by other extensions.
+ *
+ * scope: "active" (only the focused editor), "visible" (any visible editor)
+ * or "any" (every document with an allowed scheme).
+ *
+ * @param {{ document: { uri: { scheme: string } } }} event
+ * @param {{ schemes?: string[], scope?: string, activeEditor?: any, visibleEditors?: readonly any[] }} options
+ */
+function isUserEdit(event, options) {
+  const schemes = options.schemes || DEFAULT_SCHEMES;
+  const document = event.document;
+  if (!document || !schemes.includes(document.uri.scheme)) return false;
+
+  switch (options.scope) {
+    case "any":
+      return true;
+    case "visible":
+      return (options.visibleEditors || []).some(
+        (editor) => editor.document === document
+      );
+    default:
+      return (
+        !!options.activeEditor && options.activeEditor.document === document
+      );
+  }
+}
+
+function isMultiLineReplace(change) {
+  return (
+    Boolean(change.range && change.range.end) &&
+    change.range.end.line > change.range.start.line &&
+    change.text.includes("\n")
+  );
+}
+
+/**
+ * Whether an event looks like a machine edit (formatter, refactoring, code
+ * action) rather than typing: several changes with different text, or one
+ * change replacing several lines with several lines, as formatters that
+ * rewrite the whole document do.
+ * Multi-cursor typing repeats the same text and indenting lines only adds
+ * or removes leading whitespace, so neither counts.
+ */
+function isBulkEdit(event) {
+  const changes = event.contentChanges;
+  if (changes.length < 2) {
+    return changes.length === 1 && isMultiLineReplace(changes[0]);
+  }
+
+  const texts = new Set(changes.map((change) => change.text));
+  if (texts.size === 1) return false;
+
+  return !changes.every(
+    (change) =>
+      change.range &&
+      change.range.start.character === 0 &&
+      /^[ \t]*$/.test(change.text)
+  );
+}
+
+module.exports = {
+  DEFAULT_SCHEMES,
+  isUserEdit,
+  isBulkEdit,
+};
@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+ * Sound kinds a theme may define. Every kind other than the three base ones
+ * is optional and falls back to its parent kind when a theme doesn't set it,
+ * all the way down to a base kind.
+ */
+const SOUND_FALLBACKS = {
+  key: null,
+  backspace: null,
+  save: null,
+  char: "key",
+  punctuation: "key",
+  space: "key",
+  tab: "key",
+  indent: "key",
+  newline: "key",
+  paste: "key",
+  delete: "backspace",
+  wordDelete: "backspace",
+  undo: "backspace",
+  redo: "key",
+  errorIntroduced: "backspace",
+  warningIntroduced: "backspace",
+  errorsCleared: "save",
+  taskSucceeded: "save",
+  taskFailed: "errorIntroduced",
+  debugStarted: "save",
+  debugStopped: "save",
+  breakpointHit: "save",
+  stepStopped: "key",
+  exceptionStopped: "errorIntroduced",
+  note: "key",
+};
+
+const SOUND_KINDS = Object.keys(SOUND_FALLBACKS);
+
+// Kinds played for diagnostics, tasks and debugging rather than edits
+const EVENT_KINDS = new Set([
+  "errorIntroduced",
+  "warningIntroduced",
+  "errorsCleared",
+  "taskSucceeded",
+  "taskFailed",
+  "debugStarted",
+  "debugStopped",
+  "breakpointHit",
+  "stepStopped",
+  "exceptionStopped",
+]);
+
+// Pairs inserted in one edit by auto-closing brackets and quotes
+const AUTO_CLOSED_PAIRS = new Set(["()", "[]", "{}", "<>", '""', "''", "``"]);
+
+/**
+ * The kinds to look up for a sound, from the kind itself down to its base kind.
+ */
+function fallbackChain(kind) {
+  const chain = [kind];
+  while (SOUND_FALLBACKS[chain[chain.length - 1]]) {
+    chain.push(SOUND_FALLBACKS[chain[chain.length - 1]]);
+  }
+  return chain;
+}
+
+/**
+ * The base kind ("key", "backspace" or "save") a kind falls back to.
+ */
+function baseKind(kind) {
+  const chain = fallbackChain(kind);
+  return chain[chain.length - 1];
+}
+
+/**
+ * The kind a sound is rate limited as: edits share the limit of their base
+ * kind so key repeat can't stack sounds, events have their own.
+ */
+function rateLimitKind(kind) {
+  return EVENT_KINDS.has(kind) ? kind : baseKind(kind);
+}
+
+function isWhitespace(text) {
+  return /^[ \t]+$/.test(text);
+}
+
+// A deletion of a line ending (CRLF is two characters) or of whitespace only
+function isBlankDeletion(change, lineText) {
+  const range = change.range;
+  if (!range) return false;
+  if (range.end.line !== range.start.line) {
+    return (
+      range.end.line === range.start.line + 1 &&
+      range.end.character === 0 &&
+      change.rangeLength <= 2
+    );
+  }
+  return (
+    typeof lineText === "string" &&
+    isWhitespace(lineText.slice(range.start.character, range.end.character))
+  );
+}
+
+/**
+ * Classify a single content change into a sound kind.
+ *
+ * `cursor` is the caret position before the edit, when known. It is the only
+ * way to tell a forward delete (caret at the start of the removed range) from
+ * a backspace (caret at its end).
+ *
+ * `lineText` is the text of the line the change starts on, before the edit,
+ * when known. It tells indentation removed up to a tab stop from a word.
+ */
+function classifyChange(change, cursor, lineText) {
+  const text = change.text;
+
+  if (text === "") {
+    if (change.rangeLength > 1 && !isBlankDeletion(change, lineText)) {
+      return "wordDelete";
+    }
+    if (
+      cursor &&
+      change.range &&
+      cursor.line === change.range.start.line &&
+      cursor.character === change.range.start.character
+    ) {
+      return "delete";
+    }
+    return "backspace";
+  }
+
+  if (text.includes("\n")) {
+    // Enter, possibly followed by auto-indentation
+    return /^\r?\n[ \t]*$/.test(text) ? "newline" : "paste";
+  }
+
+  if (text === " ") return "space";
+  if (text === "\t") return "tab";
+  if (isWhitespace(text)) {
+    return change.range && change.range.start.character === 0
+      ? "indent"
+      : "tab";
+  }
+
+  if (text.length === 1 || AUTO_CLOSED_PAIRS.has(text)) {
+    return /^[\p{L}\p{N}_]/u.test(text) ? "char" : "punctuation";
+  }
+
+  return "paste";
+}
+
+/**
+ * Classify a text document change event into a sound kind, or null when
+ * there is nothing to play. `cursor` and `lineText` are as for
+ * classifyChange.
+ */
+function classifyEvent(event, cursor, lineText) {
+  const changes = event.contentChanges;
+  if (changes.length === 0) return null;
+
+  // Indent/outdent of a selection: whitespace at the start of several lines
+  if (
+    changes.length > 1 &&
+    changes.every(
+      (change) =>
+        change.range &&
+        change.range.start.character === 0 &&
+        (isWhitespace(change.text) ||
+          (change.text === "" && change.rangeLength > 0))
+    )
+  ) {
+    return "indent";
+  }
+
+  // Multi-cursor edits repeat the same change, so the first one is enough
+  return classifyChange(changes[0], cursor, lineText);
+}
+
+module.exports = {
+  SOUND_FALLBACKS,
+  SOUND_KINDS,
+  EVENT_KINDS,
+  baseKind,
+  rateLimitKind,
+  fallbackChain,
+  classifyChange,
+  classifyEvent,
+};
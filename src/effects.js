@@ -0,0 +1,142 @@
+"use strict";
+
+// Built-in reverbs, synthesized as decaying noise so no impulse file ships
+const REVERB_PRESETS = {
+  room: { duration: 0.5, decay: 4 },
+  plate: { duration: 1.2, decay: 3 },
+  hall: { duration: 2.4, decay: 2 },
+};
+
+// Corner frequencies of the three-band EQ, in Hz
+const EQ_BANDS = {
+  low: { type: "lowshelf", frequency: 250 },
+  mid: { type: "peaking", frequency: 1000, Q: 1 },
+  high: { type: "highshelf", frequency: 4000 },
+};
+
+const clamp = (value, min, max, fallback = 0) =>
+  Number.isFinite(Number(value))
+    ? Math.min(max, Math.max(min, Number(value)))
+    : fallback;
+
+/**
+ * Normalize the hapticsound.effects.* settings. Filters at 0 Hz, EQ bands
+ * at 0 dB and an empty reverb are off.
+ *
+ * @param {{ lowpass?: number, highpass?: number, eqLow?: number, eqMid?: number, eqHigh?: number, reverb?: string, reverbMix?: number }} settings
+ *   reverbMix is 0-100
+ */
+function normalizeEffects(settings = {}) {
+  const reverb =
+    typeof settings.reverb === "string" ? settings.reverb.trim() : "";
+  return {
+    lowpass: clamp(settings.lowpass, 0, 20000),
+    highpass: clamp(settings.highpass, 0, 20000),
+    eq: {
+      low: clamp(settings.eqLow, -24, 24),
+      mid: clamp(settings.eqMid, -24, 24),
+      high: clamp(settings.eqHigh, -24, 24),
+    },
+    reverb: reverb || undefined,
+    reverbMix: clamp(settings.reverbMix, 0, 100, 25) / 100,
+  };
+}
+
+/**
+ * Stereo impulse response of a built-in reverb: white noise fading out
+ * exponentially over the preset's duration.
+ */
+function createImpulse(audioContext, { duration, decay }) {
+  const { sampleRate } = audioContext;
+  const length = Math.max(1, Math.round(duration * sampleRate));
+  const impulse = audioContext.createBuffer(2, length, sampleRate);
+  for (let channel = 0; channel < 2; channel++) {
+    const data = impulse.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+  }
+  return impulse;
+}
+
+/**
+ * Build the master effects chain into `output`:
+ * high-pass → low-pass → EQ → dry/wet reverb.
+ * Only the stages that are on get a node; with none, `input` is `output`.
+ * `impulse` is the decoded impulse response, the reverb is off without it.
+ *
+ * @param {any} audioContext
+ * @param {ReturnType<typeof normalizeEffects>} effects
+ * @param {any} output
+ * @param {any} [impulse]
+ * @returns {{ input: any, dispose: () => void }}
+ */
+function buildEffectsChain(audioContext, effects, output, impulse) {
+  const nodes = [];
+  const filter = (type, frequency, Q, gain) => {
+    const node = audioContext.createBiquadFilter();
+    node.type = type;
+    node.frequency.value = frequency;
+    if (Q !== undefined) node.Q.value = Q;
+    if (gain !== undefined) node.gain.value = gain;
+    nodes.push(node);
+    return node;
+  };
+
+  const stages = [];
+  if (effects.highpass > 0) {
+    stages.push(filter("highpass", effects.highpass, Math.SQRT1_2));
+  }
+  if (effects.lowpass > 0) {
+    stages.push(filter("lowpass", effects.lowpass, Math.SQRT1_2));
+  }
+  for (const [band, { type, frequency, Q }] of Object.entries(EQ_BANDS)) {
+    if (effects.eq[band] !== 0) {
+      stages.push(filter(type, frequency, Q, effects.eq[band]));
+    }
+  }
+  const reverb = impulse && effects.reverbMix > 0;
+  if (stages.length === 0 && !reverb) {
+    return { input: output, dispose() {} };
+  }
+
+  const input = audioContext.createGain();
+  nodes.unshift(input);
+  const last = stages.reduce((previous, stage) => {
+    previous.connect(stage);
+    return stage;
+  }, input);
+
+  if (!reverb) {
+    last.connect(output);
+  } else {
+    // Equal-power crossfade between the dry and the reverberated signal
+    const dry = audioContext.createGain();
+    const wet = audioContext.createGain();
+    const convolver = audioContext.createConvolver();
+    dry.gain.value = Math.cos((effects.reverbMix * Math.PI) / 2);
+    wet.gain.value = Math.sin((effects.reverbMix * Math.PI) / 2);
+    convolver.buffer = impulse;
+    nodes.push(dry, convolver, wet);
+
+    last.connect(dry);
+    dry.connect(output);
+    last.connect(convolver);
+    convolver.connect(wet);
+    wet.connect(output);
+  }
+
+  return {
+    input,
+    dispose() {
+      nodes.forEach((node) => node.disconnect());
+    },
+  };
+}
+
+module.exports = {
+  REVERB_PRESETS,
+  normalizeEffects,
+  createImpulse,
+  buildEffectsChain,
+};
@@ -0,0 +1,170 @@
+"use strict";
+
+// Bumped on breaking changes of the API returned by activate
+const API_VERSION = 1;
+
+/**
+ * Whether an extension id matches a pattern of the allow or block lists:
+ * an id ("publisher.name"), every extension of a publisher ("publisher.*")
+ * or every extension ("*"). Ids are case-insensitive.
+ */
+function matchesExtension(pattern, extensionId) {
+  const id = extensionId.toLowerCase();
+  const normalized = String(pattern).trim().toLowerCase();
+  if (normalized === "*") return true;
+  if (normalized.endsWith(".*")) {
+    return id.startsWith(normalized.slice(0, -1));
+  }
+  return normalized === id;
+}
+
+/**
+ * Whether an extension may use the API: it must match the allow list and
+ * not the block list, which wins
+ *
+ * @param {string} extensionId
+ * @param {{ allow?: string[], block?: string[] }} lists
+ */
+function isExtensionAllowed(extensionId, { allow = ["*"], block = [] }) {
+  if (typeof extensionId !== "string" || extensionId.trim() === "") {
+    return false;
+  }
+  return (
+    allow.some((pattern) => matchesExtension(pattern, extensionId)) &&
+    !block.some((pattern) => matchesExtension(pattern, extensionId))
+  );
+}
+
+/**
+ * Build the API returned by activate. Each calling extension gets a client
+ * from forExtension(extensionId); every call checks that the extension is
+ * still allowed, and throws otherwise.
+ *
+ * The id is the caller's word: it must be an installed extension, but
+ * nothing proves the caller is that extension, so the allow and block lists
+ * are advisory.
+ *
+ * @param {{
+ *   isInstalled: (extensionId: string) => boolean,
+ *   isAllowed: (extensionId: string) => boolean,
+ *   play: (extensionId: string, name: string, options: { volume?: number, pan?: number }) => Promise<boolean>,
+ *   registerSound: (extensionId: string, id: string, sound: any, baseDir?: string) => { dispose: () => void },
+ *   registerTheme: (extensionId: string, name: string, theme: any, baseDir?: string) => { dispose: () => void },
+ *   onDidPlaySound: (listener: (event: any) => void, thisArgs?: any, disposables?: any[]) => { dispose: () => void },
+ *   onDidChangeState: (listener: (state: any) => void, thisArgs?: any, disposables?: any[]) => { dispose: () => void },
+ * }} host
+ */
+function createApi(host) {
+  const check = (extensionId) => {
+    if (!host.isAllowed(extensionId)) {
+      throw new Error(
+        `Extension "${extensionId}" is not allowed to use Haptic Sound, ` +
+          "see hapticsound.api.allowedExtensions and " +
+          "hapticsound.api.blockedExtensions"
+      );
+    }
+  };
+  const checkName = (kind, name) => {
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new Error(`Invalid ${kind} name: ${name}`);
+    }
+  };
+  const checkNumber = (key, value) => {
+    if (value !== undefined && !Number.isFinite(value)) {
+      throw new Error(`Invalid ${key}: ${value}`);
+    }
+  };
+
+  return {
+    version: API_VERSION,
+
+    /**
+     * Client for the calling extension, by its id ("publisher.name")
+     */
+    forExtension(extensionId) {
+      if (typeof extensionId !== "string" || !host.isInstalled(extensionId)) {
+        throw new Error(`Unknown extension "${extensionId}"`);
+      }
+      // Events reach the extension only while it is allowed
+      const subscribe = (event) => (listener, thisArgs, disposables) => {
+        check(extensionId);
+        return event(
+          (value) => {
+            if (host.isAllowed(extensionId)) listener.call(thisArgs, value);
+          },
+          undefined,
+          disposables
+        );
+      };
+      return {
+        /**
+         * Play a theme event ("key", "save", "taskFailed"...) or a sound
+         * registered by this extension, unless sounds are disabled or
+         * muted. Resolves to whether it played.
+         *
+         * @param {string} name
+         * @param {{ volume?: number, pan?: number }} [options]
+         *   volume 0-1, relative to the user's volume; pan -1 to 1
+         */
+        async play(name, options = {}) {
+          check(extensionId);
+          checkName("sound", name);
+          checkNumber("volume", options.volume);
+          checkNumber("pan", options.pan);
+          return host.play(extensionId, name, options);
+        },
+
+        /**
+         * Register a sound this extension can play by id: a file path,
+         * variants or a synthesized sound (see the theme format). Relative
+         * paths resolve against baseDir.
+         *
+         * @param {string} id
+         * @param {any} sound
+         * @param {{ baseDir?: string }} [options]
+         */
+        registerSound(id, sound, { baseDir } = {}) {
+          check(extensionId);
+          checkName("sound", id);
+          return host.registerSound(extensionId, id, sound, baseDir);
+        },
+
+        /**
+         * Register a theme, mapping events to sounds like themes.json.
+         * It can be selected like any theme until disposed.
+         *
+         * @param {string} name
+         * @param {object} theme
+         * @param {{ baseDir?: string }} [options]
+         */
+        registerTheme(name, theme, { baseDir } = {}) {
+          check(extensionId);
+          checkName("theme", name);
+          if (!theme || typeof theme !== "object") {
+            throw new Error(`Invalid theme "${name}"`);
+          }
+          return host.registerTheme(extensionId, name, theme, baseDir);
+        },
+
+        /**
+         * Fired when a sound plays: { kind, extensionId } where extensionId
+         * is set for sounds played through the API
+         */
+        onDidPlaySound: subscribe(host.onDidPlaySound),
+
+        /**
+         * Fired when the state shown in the status bar changes:
+         * { enabled, muted, themeName, volume }
+         */
+        onDidChangeState: subscribe(host.onDidChangeState),
+      };
+    },
+  };
+}
+
+module.exports = {
+  API_VERSION,
+  matchesExtension,
+  isExtensionAllowed,
+  createApi,
+};
@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Logs to the "Haptic Sound" output channel, a LogOutputChannel whose level
+ * is set with "Developer: Set Log Level...". Logs to the console until the
+ * channel is created on activation.
+ */
+class Logger {
+  /**
+   * @param {{ trace: Function, debug: Function, info: Function, warn: Function, error: Function, show?: Function }} [target]
+   */
+  constructor(target = console) {
+    this.target = target;
+    /** @type {Set<string>} messages logged by once() */
+    this.reported = new Set();
+  }
+
+  setTarget(target) {
+    this.target = target;
+  }
+
+  trace(message) {
+    this.target.trace(message);
+  }
+
+  debug(message) {
+    this.target.debug(message);
+  }
+
+  info(message) {
+    this.target.info(message);
+  }
+
+  warn(message) {
+    this.target.warn(message);
+  }
+
+  error(message) {
+    this.target.error(message);
+  }
+
+  /**
+   * Log a message the first time only, e.g. a missing file looked up on
+   * every keystroke, until reset(). Returns whether it was logged.
+   *
+   * @param {"trace" | "debug" | "info" | "warn" | "error"} level
+   * @param {string} message
+   */
+  once(level, message) {
+    if (this.reported.has(message)) return false;
+    this.reported.add(message);
+    this[level](message);
+    return true;
+  }
+
+  /**
+   * Log the messages of once() again, e.g. after the settings changed
+   */
+  reset() {
+    this.reported.clear();
+  }
+
+  /**
+   * Reveal the output channel
+   */
+  show() {
+    if (this.target.show) this.target.show(true);
+  }
+}
+
+module.exports = {
+  Logger,
+};
@@ -0,0 +1,149 @@
+"use strict";
+
+// Intervals in semitones above the key's root
+const SCALES = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  pentatonic: [0, 2, 4, 7, 9],
+  minorPentatonic: [0, 3, 5, 7, 10],
+  blues: [0, 3, 5, 6, 7, 10],
+  chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  majorArpeggio: [0, 4, 7],
+  minorArpeggio: [0, 3, 7],
+};
+
+const NOTE_NAMES = ["C", "D", "E", "F", "G", "A", "B"];
+const NOTE_SEMITONES = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Semitones of a note name above C, e.g. "F#" or "Bb". With an octave
+ * ("E4", "Bb3"), relative to C4, which plays a sample at its own pitch.
+ * Returns undefined when invalid.
+ */
+function parseNote(note) {
+  const match = /^([A-Ga-g])([#b]?)(-?\d)?$/.exec(String(note).trim());
+  if (!match) return undefined;
+  const [, letter, accidental, octave] = match;
+  let semitones = NOTE_SEMITONES[NOTE_NAMES.indexOf(letter.toUpperCase())];
+  if (accidental === "#") semitones++;
+  if (accidental === "b") semitones--;
+  if (octave !== undefined) semitones += (Number(octave) - 4) * 12;
+  return semitones;
+}
+
+/**
+ * Playback rate (or frequency multiplier) that shifts a sound by semitones
+ */
+function noteRate(semitones) {
+  return 2 ** (semitones / 12);
+}
+
+/**
+ * Walks through the notes of a scale or melody, one step per keystroke.
+ * Scales go up over `octaves` octaves from the key's root and back down;
+ * melodies loop. Notes are in semitones from the sample's own pitch.
+ */
+class MusicalTyping {
+  /**
+   * @param {{ key?: string, scale?: string, melody?: (string | number)[], octaves?: number }} [options]
+   */
+  constructor(options = {}) {
+    this.configure(options);
+  }
+
+  /**
+   * Set the key, the scale or melody and the octave range, then start over.
+   * A melody lists note names ("E4") or semitones from C4, and takes
+   * precedence over the scale.
+   */
+  configure(options = {}) {
+    // Keys past F# play lower rather than higher, to stay close to the
+    // sample's own pitch
+    const key = parseNote(options.key) ?? 0;
+    this.root = ((((key + 6) % 12) + 12) % 12) - 6;
+
+    const intervals = SCALES[options.scale] || SCALES.pentatonic;
+    this.minor = intervals.includes(3) && !intervals.includes(4);
+
+    const melody = (Array.isArray(options.melody) ? options.melody : [])
+      .map((note) => (typeof note === "number" ? note : parseNote(note)))
+      .filter((note) => Number.isFinite(note));
+
+    if (melody.length > 0) {
+      this.notes = melody;
+      this.pingPong = false;
+    } else {
+      const octaves = Math.min(
+        4,
+        Math.max(1, Math.floor(options.octaves) || 1)
+      );
+      this.notes = [];
+      for (let octave = 0; octave < octaves; octave++) {
+        this.notes.push(
+          ...intervals.map((interval) => this.root + interval + octave * 12)
+        );
+      }
+      this.notes.push(this.root + octaves * 12);
+      this.pingPong = this.notes.length > 1;
+    }
+    this.reset();
+  }
+
+  /**
+   * Start again from the first note
+   */
+  reset() {
+    this.position = -1;
+  }
+
+  /**
+   * Step forward and return the note to play
+   */
+  next() {
+    this.position = (this.position + 1) % this.period();
+    return this.noteAt(this.position);
+  }
+
+  /**
+   * Step back and return the note to play, e.g. for a backspace.
+   * Stays on the first note at the start of the walk.
+   */
+  back() {
+    this.position = Math.max(0, this.position - 1);
+    return this.noteAt(this.position);
+  }
+
+  /**
+   * Tonic chord of the key, resolving the melody: root, third, fifth, octave
+   */
+  chord() {
+    const third = this.minor ? 3 : 4;
+    return [0, third, 7, 12].map((interval) => this.root + interval);
+  }
+
+  /**
+   * @private
+   */
+  period() {
+    return this.pingPong ? this.notes.length * 2 - 2 : this.notes.length;
+  }
+
+  /**
+   * @private
+   */
+  noteAt(position) {
+    const index =
+      position < this.notes.length
+        ? position
+        : this.notes.length * 2 - 2 - position;
+    return this.notes[index];
+  }
+}
+
+module.exports = {
+  SCALES,
+  parseNote,
+  noteRate,
+  MusicalTyping,
+};
@@ -0,0 +1,109 @@
+"use strict";
+
+const SNOOZE_KEY = "hapticsound.snoozeUntil";
+
+/**
+ * Temporary muting, kept out of the user settings so it doesn't sync to
+ * other machines: a mute that lasts until it is lifted or the window
+ * reloads, and a snooze that ends by itself.
+ *
+ * The snooze end time is stored in a Memento (usually `context.globalState`)
+ * so it survives a window reload.
+ */
+class MuteState {
+  /**
+   * @param {{ get: (key: string) => any, update: (key: string, value: any) => Thenable<void> }} memento
+   * @param {() => void} [onChange] called whenever muting starts or ends,
+   *   including when a snooze runs out
+   * @param {() => number} [now]
+   */
+  constructor(memento, onChange = () => {}, now = Date.now) {
+    this.memento = memento;
+    this.onChange = onChange;
+    this.now = now;
+    this.sessionMuted = false;
+    /** @type {NodeJS.Timeout | undefined} */
+    this.timer = undefined;
+
+    const snoozeUntil = memento.get(SNOOZE_KEY);
+    this.snoozeUntil =
+      typeof snoozeUntil === "number" && snoozeUntil > now()
+        ? snoozeUntil
+        : undefined;
+    this.scheduleWake();
+  }
+
+  /**
+   * Whether sounds are muted for now, by a mute or a snooze
+   */
+  get muted() {
+    return this.sessionMuted || this.snoozedUntil !== undefined;
+  }
+
+  /**
+   * End time of the running snooze in milliseconds since the epoch, if any
+   */
+  get snoozedUntil() {
+    return this.snoozeUntil !== undefined && this.snoozeUntil > this.now()
+      ? this.snoozeUntil
+      : undefined;
+  }
+
+  /**
+   * Mute until unmute() or the end of the session
+   */
+  mute() {
+    this.sessionMuted = true;
+    this.onChange();
+  }
+
+  /**
+   * Mute for `duration` milliseconds
+   */
+  snooze(duration) {
+    this.setSnooze(this.now() + duration);
+    this.onChange();
+  }
+
+  /**
+   * Lift both the mute and the snooze
+   */
+  unmute() {
+    this.sessionMuted = false;
+    this.setSnooze(undefined);
+    this.onChange();
+  }
+
+  dispose() {
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * @private
+   */
+  setSnooze(snoozeUntil) {
+    this.snoozeUntil = snoozeUntil;
+    this.memento.update(SNOOZE_KEY, snoozeUntil);
+    this.scheduleWake();
+  }
+
+  /**
+   * @private
+   */
+  scheduleWake() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    if (this.snoozeUntil === undefined) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      this.snoozeUntil = undefined;
+      this.memento.update(SNOOZE_KEY, undefined);
+      this.onChange();
+    }, Math.max(0, this.snoozeUntil - this.now()));
+  }
+}
+
+module.exports = {
+  MuteState,
+};
@@ -0,0 +1,70 @@
+"use strict";
+
+// Editor width in columns when nothing tells it, and the narrowest one used
+const DEFAULT_COLUMNS = 80;
+
+// Voices played for a multi-cursor edit: its leftmost, middle and rightmost
+// cursors
+const MAX_PANNED_CURSORS = 3;
+
+/**
+ * Approximate width of the editor in columns. The API doesn't tell how wide
+ * the editor is, so use the wrap column when lines wrap at it, else the
+ * rightmost ruler, else the longest visible line, never less than
+ * DEFAULT_COLUMNS. Tabs count as one column.
+ *
+ * @param {{ wordWrap?: string, wordWrapColumn?: number, rulers?: (number | { column: number, color?: string })[], lineLengths?: number[] }} layout
+ */
+function editorColumns({ wordWrap, wordWrapColumn, rulers, lineLengths }) {
+  if (
+    (wordWrap === "wordWrapColumn" || wordWrap === "bounded") &&
+    wordWrapColumn > 0
+  ) {
+    return wordWrapColumn;
+  }
+  const rulerColumns = (Array.isArray(rulers) ? rulers : [])
+    .map((ruler) => Number(typeof ruler === "object" ? ruler.column : ruler))
+    .filter((column) => column > 0);
+  if (rulerColumns.length > 0) return Math.max(...rulerColumns);
+  return Math.max(DEFAULT_COLUMNS, ...(lineLengths || []));
+}
+
+/**
+ * Stereo position of a column: -1 at the left edge of the editor, 1 at
+ * `columns` and beyond, scaled by `width` (0 = mono, 1 = full stereo).
+ */
+function panForColumn(column, columns, width) {
+  if (!(width > 0)) return 0;
+  const span = columns > 0 ? columns : DEFAULT_COLUMNS;
+  const position = Math.min(1, Math.max(0, column / span));
+  return (position * 2 - 1) * Math.min(1, width);
+}
+
+/**
+ * Stereo positions of an edit, one per cursor column. Multi-cursor edits
+ * spread across their leftmost, middle and rightmost cursors.
+ *
+ * @param {readonly { range: { start: { character: number } } }[]} changes
+ * @param {number} columns
+ * @param {number} width
+ * @returns {number[]}
+ */
+function panForChanges(changes, columns, width) {
+  const pans = [
+    ...new Set(
+      changes.map((change) =>
+        panForColumn(change.range.start.character, columns, width)
+      )
+    ),
+  ].sort((a, b) => a - b);
+  if (pans.length === 0) return [0];
+  if (pans.length <= MAX_PANNED_CURSORS) return pans;
+  return [pans[0], pans[Math.floor(pans.length / 2)], pans[pans.length - 1]];
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  editorColumns,
+  panForColumn,
+  panForChanges,
+};
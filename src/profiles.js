@@ -0,0 +1,55 @@
+"use strict";
+
+/**
+ * Document selector of a profile: `language` (a language id or a list of
+ * them) and/or `pattern` (a glob). Both must match when both are set.
+ * Returns null for profiles that select nothing.
+ *
+ * @param {{ language?: string | string[], pattern?: string, theme?: any, volume?: number, enabled?: boolean }} profile
+ */
+function profileSelector(profile) {
+  if (!profile || typeof profile !== "object") return null;
+
+  const languages = [].concat(profile.language ?? []).filter(Boolean);
+  const pattern = profile.pattern || undefined;
+  if (languages.length === 0) return pattern ? [{ pattern }] : null;
+  return languages.map((language) => ({ language, pattern }));
+}
+
+/**
+ * Index of the first profile matching a document, or -1.
+ *
+ * @param {any[]} profiles
+ * @param {any} document
+ * @param {(selector: any, document: any) => number} match usually
+ *   `vscode.languages.match`
+ */
+function findProfile(profiles, document, match) {
+  if (!document || !Array.isArray(profiles)) return -1;
+  return profiles.findIndex((profile) => {
+    const selector = profileSelector(profile);
+    return selector !== null && match(selector, document) > 0;
+  });
+}
+
+/**
+ * Settings with a profile's overrides applied: theme, volume and enabled.
+ *
+ * @param {{ theme: any, volume: number, enabled: boolean }} settings
+ * @param {{ theme?: any, volume?: number, enabled?: boolean } | undefined} profile
+ */
+function applyProfile(settings, profile) {
+  if (!profile) return settings;
+  return {
+    theme: profile.theme ?? settings.theme,
+    volume: typeof profile.volume === "number" ? profile.volume : settings.volume,
+    enabled:
+      typeof profile.enabled === "boolean" ? profile.enabled : settings.enabled,
+  };
+}
+
+module.exports = {
+  profileSelector,
+  findProfile,
+  applyProfile,
+};
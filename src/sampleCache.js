@@ -0,0 +1,204 @@
+"use strict";
+const fs = require("fs");
+const path = require("path");
+
+// About 90 seconds of decoded stereo 48 kHz audio, far more than any theme needs.
+const DEFAULT_MAX_BYTES = 32 * 1024 * 1024;
+
+/**
+ * Copy a Node.js Buffer into a standalone ArrayBuffer
+ * (avoids handing a pooled or SharedArrayBuffer slice to the decoder).
+ */
+function toArrayBuffer(buffer) {
+  const arrayBuffer = new ArrayBuffer(buffer.byteLength);
+  new Uint8Array(arrayBuffer).set(
+    new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  );
+  return arrayBuffer;
+}
+
+/**
+ * Approximate memory held by a decoded AudioBuffer (32-bit float samples).
+ */
+function estimateBytes(audioBuffer) {
+  if (!audioBuffer) return 0;
+  const channels = audioBuffer.numberOfChannels || 1;
+  const length = audioBuffer.length || 0;
+  return channels * length * 4;
+}
+
+/**
+ * Decoded sample cache keyed by resolved file path.
+ *
+ * Entries are kept in least-recently-used order and evicted once the total
+ * decoded size exceeds `maxBytes`. Each cached file is watched so that edits
+ * on disk drop the stale buffer; the next lookup decodes it again.
+ * Files that are missing or can't be decoded stay cached as null, so they
+ * aren't read again on every lookup, until they change on disk or the cache
+ * is cleared.
+ */
+class SampleCache {
+  /**
+   * @param {(data: ArrayBuffer) => Promise<any>} decode decoder, usually
+   *   `audioContext.decodeAudioData`
+   * @param {{ maxBytes?: number, watch?: boolean, onError?: (filePath: string, error: NodeJS.ErrnoException) => void }} [options]
+   *   onError reports files that are missing or can't be decoded
+   */
+  constructor(decode, options = {}) {
+    this.decode = decode;
+    this.onError =
+      options.onError ||
+      ((filePath, error) => {
+        if (error.code !== "ENOENT") {
+          console.error(`Failed to decode ${filePath}: ${error.message}`);
+        }
+      });
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.watch = options.watch !== false;
+    this.totalBytes = 0;
+    /** @type {Map<string, { promise: Promise<any>, buffer: any, bytes: number, watcher: fs.FSWatcher | null }>} */
+    this.entries = new Map();
+  }
+
+  /**
+   * Return the decoded buffer if it is already in memory, without touching disk.
+   */
+  peek(filePath) {
+    const entry = this.entries.get(filePath);
+    if (!entry || !entry.buffer) return undefined;
+    this.touch(filePath, entry);
+    return entry.buffer;
+  }
+
+  /**
+   * Return the decoded buffer for a file, loading and decoding it on a miss.
+   * Resolves to null when the file is missing or cannot be decoded.
+   */
+  get(filePath) {
+    if (!filePath) return Promise.resolve(null);
+    const entry = this.entries.get(filePath);
+    if (entry) {
+      this.touch(filePath, entry);
+      return entry.promise;
+    }
+    return this.load(filePath);
+  }
+
+  /**
+   * Decode every given file ahead of time. Failures are ignored.
+   */
+  async preload(filePaths) {
+    const unique = [...new Set(filePaths.filter(Boolean))];
+    await Promise.all(unique.map((filePath) => this.get(filePath)));
+  }
+
+  /**
+   * Drop a single file from the cache.
+   */
+  invalidate(filePath) {
+    const entry = this.entries.get(filePath);
+    if (!entry) return;
+    this.entries.delete(filePath);
+    this.totalBytes -= entry.bytes;
+    if (entry.watcher) entry.watcher.close();
+  }
+
+  /**
+   * Drop every cached file.
+   */
+  clear() {
+    for (const filePath of [...this.entries.keys()]) {
+      this.invalidate(filePath);
+    }
+  }
+
+  dispose() {
+    this.clear();
+  }
+
+  /**
+   * @private
+   */
+  load(filePath) {
+    const entry = { promise: null, buffer: null, bytes: 0, watcher: null };
+    entry.promise = fs.promises
+      .readFile(filePath)
+      .then((data) => this.decode(toArrayBuffer(data)))
+      .then((audioBuffer) => {
+        // The entry may have been invalidated while decoding
+        if (this.entries.get(filePath) !== entry) return audioBuffer;
+        entry.buffer = audioBuffer;
+        entry.bytes = estimateBytes(audioBuffer);
+        this.totalBytes += entry.bytes;
+        this.evict(filePath);
+        return audioBuffer;
+      })
+      .catch((error) => {
+        this.onError(filePath, error);
+        return null;
+      });
+
+    this.entries.set(filePath, entry);
+    if (this.watch) entry.watcher = this.watchFile(filePath);
+    return entry.promise;
+  }
+
+  /**
+   * @private
+   */
+  watchFile(filePath) {
+    try {
+      const watcher = fs.watch(filePath, { persistent: false }, () =>
+        this.invalidate(filePath)
+      );
+      watcher.on("error", () => this.invalidate(filePath));
+      return watcher;
+    } catch {
+      // A missing file: watch its folder for it to appear
+    }
+    try {
+      const name = path.basename(filePath);
+      const watcher = fs.watch(
+        path.dirname(filePath),
+        { persistent: false },
+        (event, changed) => {
+          if (!changed || String(changed) === name) this.invalidate(filePath);
+        }
+      );
+      watcher.on("error", () => this.invalidate(filePath));
+      return watcher;
+    } catch {
+      // Missing folder or unsupported file system: cleared with the cache
+      return null;
+    }
+  }
+
+  /**
+   * Move an entry to the most-recently-used end.
+   * @private
+   */
+  touch(filePath, entry) {
+    this.entries.delete(filePath);
+    this.entries.set(filePath, entry);
+  }
+
+  /**
+   * Evict least-recently-used entries until the cache fits its budget.
+   * The entry just loaded is never evicted, even if it alone exceeds it.
+   * @private
+   */
+  evict(keepPath) {
+    for (const [filePath, entry] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) break;
+      if (filePath === keepPath || !entry.buffer) continue;
+      this.invalidate(filePath);
+    }
+  }
+}
+
+module.exports = {
+  SampleCache,
+  DEFAULT_MAX_BYTES,
+  estimateBytes,
+  toArrayBuffer,
+};
@@ -0,0 +1,184 @@
+"use strict";
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Mechvibes keycodes (iohook / PC set 1 scancodes) for the characters an edit
+ * can insert. Shifted symbols share the keycode of their unshifted key.
+ */
+const KEYCODES = {
+  "`": 41, "~": 41,
+  1: 2, "!": 2, 2: 3, "@": 3, 3: 4, "#": 4, 4: 5, $: 5, 5: 6, "%": 6,
+  6: 7, "^": 7, 7: 8, "&": 8, 8: 9, "*": 9, 9: 10, "(": 10, 0: 11, ")": 11,
+  "-": 12, _: 12, "=": 13, "+": 13,
+  q: 16, w: 17, e: 18, r: 19, t: 20, y: 21, u: 22, i: 23, o: 24, p: 25,
+  "[": 26, "{": 26, "]": 27, "}": 27, "\\": 43, "|": 43,
+  a: 30, s: 31, d: 32, f: 33, g: 34, h: 35, j: 36, k: 37, l: 38,
+  ";": 39, ":": 39, "'": 40, '"': 40,
+  z: 44, x: 45, c: 46, v: 47, b: 48, n: 49, m: 50,
+  ",": 51, "<": 51, ".": 52, ">": 52, "/": 53, "?": 53,
+  " ": 57,
+};
+
+// Keycodes used for the sound kinds of a theme
+const KIND_KEYCODES = {
+  key: 30, // A
+  backspace: 14,
+  tab: 15,
+  newline: 28, // Enter
+  space: 57,
+  delete: 3667,
+  save: 28,
+};
+
+const CONFIG_FILE = "config.json";
+
+// Theme name of packs whose name has no letters or digits, e.g. "★★★"
+const FALLBACK_NAME = "sound-pack";
+
+/**
+ * Turn a pack name into a theme name usable in `hapticsound.theme`.
+ */
+function themeNameFor(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Path of a file named by a pack, or undefined when it lies outside the pack
+ * folder (e.g. `../../secret.wav`).
+ */
+function packFile(packPath, file) {
+  if (typeof file !== "string") return undefined;
+  const filePath = path.join(packPath, file);
+  const relative = path.relative(packPath, filePath);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    return undefined;
+  }
+  return filePath;
+}
+
+/**
+ * Build the sound for one keycode define.
+ * Sprite packs ("single") play a slice of one file, given as [startMs, lengthMs];
+ * other packs ("multi") map the keycode to its own file.
+ */
+function soundForDefine(packPath, pack, define) {
+  if (define === null || define === undefined) return undefined;
+
+  if (pack.key_define_type === "multi") {
+    return packFile(packPath, define);
+  }
+
+  const file = packFile(packPath, pack.sound);
+  if (!Array.isArray(define) || !file) return undefined;
+  const [start, length] = define;
+  return {
+    file,
+    offset: Math.max(0, Number(start) || 0) / 1000,
+    duration: Number(length) > 0 ? Number(length) / 1000 : undefined,
+  };
+}
+
+/**
+ * Read a Mechvibes-style pack folder and turn it into a theme mapping:
+ * sounds for each kind plus a `keys` map from typed character to sound.
+ * Throws when the folder has no usable config.json.
+ */
+function readSoundPack(packPath) {
+  const configPath = path.join(packPath, CONFIG_FILE);
+  const pack = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const defines = pack.defines || {};
+
+  const theme = { keys: {} };
+  for (const [char, keycode] of Object.entries(KEYCODES)) {
+    const sound = soundForDefine(packPath, pack, defines[keycode]);
+    if (sound) theme.keys[char] = sound;
+  }
+
+  for (const [kind, keycode] of Object.entries(KIND_KEYCODES)) {
+    const sound = soundForDefine(packPath, pack, defines[keycode]);
+    if (sound) theme[kind] = sound;
+  }
+
+  // Packs don't always define the reference key, use any key instead
+  if (!theme.key) {
+    const first = Object.values(defines)
+      .map((define) => soundForDefine(packPath, pack, define))
+      .find(Boolean);
+    if (!first) throw new Error(`No sounds defined in ${configPath}`);
+    theme.key = first;
+  }
+  theme.backspace = theme.backspace || theme.key;
+  theme.save = theme.save || theme.key;
+
+  const name = themeNameFor(pack.name || pack.id || path.basename(packPath));
+  return {
+    name: name || themeNameFor(path.basename(packPath)) || FALLBACK_NAME,
+    theme,
+  };
+}
+
+/**
+ * Load every pack stored under `packsPath`, keyed by theme name.
+ * Broken packs are reported through onError and skipped.
+ *
+ * @param {string} packsPath
+ * @param {(packName: string, error: Error) => void} [onError]
+ */
+function loadSoundPacks(packsPath, onError) {
+  const themes = {};
+  if (!packsPath || !fs.existsSync(packsPath)) return themes;
+
+  for (const entry of fs.readdirSync(packsPath, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    try {
+      const { name, theme } = readSoundPack(path.join(packsPath, entry.name));
+      themes[name] = theme;
+    } catch (e) {
+      if (onError) onError(entry.name, e);
+    }
+  }
+  return themes;
+}
+
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * Copy a pack folder into `packsPath` so it keeps working if the original
+ * is moved or deleted. Returns the theme name of the imported pack.
+ * Throws for a folder that is already under `packsPath` or contains it.
+ */
+function importSoundPack(sourcePath, packsPath) {
+  const source = path.resolve(sourcePath);
+  const packs = path.resolve(packsPath);
+  if (isInside(packs, source) || isInside(source, packs)) {
+    throw new Error(`${sourcePath} is already in the sound packs folder`);
+  }
+
+  // Validate before copying anything
+  const { name } = readSoundPack(sourcePath);
+
+  // The pack replaces its previous import only, never the packs folder
+  const targetPath = path.join(packs, name);
+  if (path.dirname(targetPath) !== packs) {
+    throw new Error(`Invalid sound pack name "${name}"`);
+  }
+  fs.rmSync(targetPath, { recursive: true, force: true });
+  fs.mkdirSync(packs, { recursive: true });
+  fs.cpSync(sourcePath, targetPath, { recursive: true });
+  return name;
+}
+
+module.exports = {
+  KEYCODES,
+  themeNameFor,
+  readSoundPack,
+  loadSoundPacks,
+  importSoundPack,
+};
@@ -0,0 +1,80 @@
+"use strict";
+const os = require("os");
+const path = require("path");
+
+// Formats the decoder of node-web-audio-api reads
+const AUDIO_EXTENSIONS = [".wav", ".mp3", ".ogg", ".flac", ".aac", ".m4a"];
+
+/**
+ * Determine if a string looks like a path to a file rather than a theme
+ * name: it has an audio file extension, a directory or a variable.
+ */
+function isLikelyPath(value) {
+  if (!value || typeof value !== "string") return false;
+  return (
+    AUDIO_EXTENSIONS.includes(path.extname(value).toLowerCase()) ||
+    value.startsWith("~") ||
+    value.startsWith(".") ||
+    value.includes("${") ||
+    value.includes("/") ||
+    value.includes(path.sep) ||
+    path.isAbsolute(value)
+  );
+}
+
+/**
+ * Expand `~`, `${userHome}` and `${workspaceFolder}` in a path from
+ * settings. Returns undefined when a variable can't be resolved, e.g.
+ * `${workspaceFolder}` without a folder open.
+ *
+ * @param {string} value
+ * @param {{ workspaceFolder?: string, userHome?: string }} [variables]
+ */
+function expandPath(value, variables = {}) {
+  const { workspaceFolder, userHome = os.homedir() } = variables;
+  let unresolved = false;
+  let expanded = value.replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (name === "userHome") return userHome;
+    if (name === "workspaceFolder" && workspaceFolder) return workspaceFolder;
+    unresolved = true;
+    return match;
+  });
+  if (unresolved) return undefined;
+
+  if (expanded === "~" || /^~[/\\]/.test(expanded)) {
+    expanded = path.join(userHome, expanded.slice(1));
+  }
+  return expanded;
+}
+
+/**
+ * Resolve a path from settings to an absolute path: variables are expanded,
+ * then relative paths resolve against the workspace folder, or against
+ * `fallbackDir` (the extension folder, where older settings pointed) when
+ * there is none or only that one has the file.
+ * Returns undefined when a variable can't be resolved.
+ *
+ * @param {string} value
+ * @param {{ workspaceFolder?: string, userHome?: string, fallbackDir?: string, exists?: (filePath: string) => boolean }} [options]
+ */
+function resolveSettingPath(value, options = {}) {
+  const { workspaceFolder, fallbackDir, exists } = options;
+  const expanded = expandPath(value, options);
+  if (expanded === undefined || path.isAbsolute(expanded)) return expanded;
+
+  const candidates = [workspaceFolder, fallbackDir]
+    .filter(Boolean)
+    .map((dir) => path.join(dir, expanded));
+  if (candidates.length === 0) return path.resolve(expanded);
+  return (
+    (exists && candidates.find((candidate) => exists(candidate))) ||
+    candidates[0]
+  );
+}
+
+module.exports = {
+  AUDIO_EXTENSIONS,
+  isLikelyPath,
+  expandPath,
+  resolveSettingPath,
+};
@@ -0,0 +1,158 @@
+"use strict";
+const path = require("path");
+const { DEFAULT_SYNTH_PITCH, normalizeSynth } = require("./synth");
+
+// Playback rate range used when a sound doesn't set its own pitch:
+// around 1.0 +/- ~40% to avoid a repetitive sound
+const DEFAULT_PITCH = [0.6, 1.4];
+
+/**
+ * Normalize a pitch setting: a fixed rate or a [min, max] range.
+ */
+function normalizePitch(pitch) {
+  if (typeof pitch === "number") return pitch > 0 ? [pitch, pitch] : undefined;
+  if (Array.isArray(pitch) && pitch.length === 2) {
+    const [min, max] = pitch.map(Number);
+    if (min > 0 && max > 0) return [Math.min(min, max), Math.max(min, max)];
+  }
+  return undefined;
+}
+
+/**
+ * A number from a theme that is at least `min` (and above it unless
+ * `inclusive`), or undefined
+ */
+function normalizeNumber(value, min, inclusive = true) {
+  const number = typeof value === "number" ? value : Number.NaN;
+  if (!Number.isFinite(number)) return undefined;
+  return number > min || (inclusive && number === min) ? number : undefined;
+}
+
+/**
+ * Normalize one variant: a file path, { file, gain, pitch, offset, duration },
+ * or a synthesized sound { synth: recipe, gain, pitch } (see src/synth.js).
+ * Event-level gain/pitch apply to variants that don't set their own.
+ */
+function normalizeVariant(variant, baseDir, defaults = {}) {
+  const resolve = (file) => {
+    if (typeof baseDir === "function") return baseDir(file);
+    return path.isAbsolute(file) ? file : path.join(baseDir, file);
+  };
+
+  if (typeof variant === "string") {
+    if (defaults.gain === undefined && defaults.pitch === undefined) {
+      return resolve(variant);
+    }
+    variant = { file: variant };
+  }
+  if (!variant || typeof variant !== "object") return undefined;
+
+  let normalized;
+  if (variant.synth && typeof variant.synth === "object") {
+    normalized = { ...variant, synth: normalizeSynth(variant.synth) };
+  } else if (typeof variant.file === "string") {
+    normalized = { ...variant, file: resolve(variant.file) };
+  } else {
+    return undefined;
+  }
+  // Invalid numbers are dropped, as if not set
+  const gain = normalizeNumber(variant.gain ?? defaults.gain, 0);
+  const pitch = normalizePitch(variant.pitch ?? defaults.pitch);
+  const offset = normalizeNumber(variant.offset, 0);
+  const duration = normalizeNumber(variant.duration, 0, false);
+  const numbers = { gain, pitch, offset, duration };
+  for (const [key, value] of Object.entries(numbers)) {
+    if (value !== undefined) normalized[key] = value;
+    else delete normalized[key];
+  }
+  return normalized;
+}
+
+/**
+ * Normalize the sound of one theme event. Accepted forms:
+ * - "file.wav" (flat format),
+ * - { file, gain, pitch, offset, duration } (a single variant),
+ * - { synth: { preset, waveform, frequency, ... } } (a synthesized sound),
+ * - ["a.wav", { file: "b.wav", gain: 0.5 }] (variants picked at random),
+ * - { variants: [...], select: "random" | "roundRobin", gain, pitch }.
+ * File paths resolve against baseDir, or through it when it's a function.
+ * Returns undefined when invalid.
+ */
+function normalizeSound(sound, baseDir) {
+  if (Array.isArray(sound)) sound = { variants: sound };
+  if (!sound || typeof sound !== "object" || !Array.isArray(sound.variants)) {
+    return normalizeVariant(sound, baseDir);
+  }
+
+  const defaults = { gain: sound.gain, pitch: sound.pitch };
+  const variants = sound.variants
+    .map((variant) => normalizeVariant(variant, baseDir, defaults))
+    .filter(Boolean);
+  if (variants.length === 0) return undefined;
+  if (variants.length === 1) return variants[0];
+
+  return {
+    variants,
+    select: sound.select === "roundRobin" ? "roundRobin" : "random",
+  };
+}
+
+/**
+ * Next position of round-robin sounds
+ * @type {WeakMap<object, number>}
+ */
+const roundRobinIndex = new WeakMap();
+
+/**
+ * Pick the variant to play for a sound, as a { file, ... } object.
+ *
+ * @param {any} sound normalized sound
+ * @param {() => number} [random]
+ */
+function pickVariant(sound, random = Math.random) {
+  if (!sound) return undefined;
+  if (typeof sound === "string") return { file: sound };
+  if (!sound.variants) return sound;
+
+  let index;
+  if (sound.select === "roundRobin") {
+    index = roundRobinIndex.get(sound) || 0;
+    roundRobinIndex.set(sound, (index + 1) % sound.variants.length);
+  } else {
+    index = Math.floor(random() * sound.variants.length);
+  }
+  const variant = sound.variants[index];
+  return typeof variant === "string" ? { file: variant } : variant;
+}
+
+/**
+ * Every file a sound may play, for preloading. Synthesized sounds have none.
+ */
+function soundFiles(sound) {
+  if (!sound) return [];
+  if (typeof sound === "string") return [sound];
+  const variants = sound.variants || [sound];
+  return variants
+    .map((variant) => (typeof variant === "string" ? variant : variant.file))
+    .filter(Boolean);
+}
+
+/**
+ * Random playback rate within the variant's pitch range, narrowed around
+ * its middle by `spread` (0-1).
+ * For synthesized sounds it scales the frequencies instead.
+ */
+function playbackRate(variant, random = Math.random, spread = 1) {
+  const [min, max] =
+    variant.pitch || (variant.synth ? DEFAULT_SYNTH_PITCH : DEFAULT_PITCH);
+  const margin = ((max - min) * (1 - spread)) / 2;
+  return random() * (max - min - 2 * margin) + min + margin;
+}
+
+module.exports = {
+  DEFAULT_PITCH,
+  normalizeSound,
+  pickVariant,
+  soundFiles,
+  playbackRate,
+};
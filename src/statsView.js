@@ -0,0 +1,178 @@
+"use strict";
+const vscode = require("vscode");
+const crypto = require("crypto");
+
+// Days shown in the charts
+const CHART_DAYS = 30;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60
+    ? `${minutes} min`
+    : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const percent = (ratio) => `${(ratio * 100).toFixed(1)}%`;
+
+/**
+ * SVG bar chart of one metric over the last days
+ */
+function barChart(days, metric, title, format = (value) => value) {
+  const width = 600;
+  const height = 140;
+  const max = Math.max(1, ...days.map((day) => day[metric]));
+  const barWidth = width / Math.max(days.length, 1);
+
+  const bars = days
+    .map((day, i) => {
+      const x = i * barWidth + 1;
+      const barHeight = (day[metric] / max) * (height - 20);
+      const label = escapeHtml(`${day.day}: ${format(day[metric])}`);
+      return (
+        `<rect x="${x}" y="${height - barHeight}" width="${barWidth - 2}" ` +
+        `height="${barHeight}"><title>${label}</title></rect>`
+      );
+    })
+    .join("");
+
+  return `<h2>${escapeHtml(title)}</h2>
+<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${bars}</svg>`;
+}
+
+/**
+ * HTML of the dashboard for a TypingStats summary
+ */
+function renderStatsHtml(summary, { cspSource, nonce }) {
+  const { total, languages } = summary;
+  const days = summary.days.slice(-CHART_DAYS);
+
+  const rows = languages
+    .map(
+      (language) => `<tr>
+  <td>${escapeHtml(language.languageId)}</td>
+  <td>${language.keystrokes}</td>
+  <td>${language.deletions}</td>
+  <td>${language.saves}</td>
+  <td>${formatDuration(language.activeMs)}</td>
+  <td>${language.wpm.toFixed(0)}</td>
+  <td>${percent(language.backspaceRatio)}</td>
+</tr>`
+    )
+    .join("\n");
+
+  const content =
+    summary.days.length === 0
+      ? "<p>No typing recorded yet.</p>"
+      : `<div class="cards">
+  <div><strong>${total.keystrokes}</strong>keystrokes</div>
+  <div><strong>${total.wpm.toFixed(0)}</strong>WPM</div>
+  <div><strong>${percent(total.backspaceRatio)}</strong>backspace ratio</div>
+  <div><strong>${total.saves}</strong>saves</div>
+  <div><strong>${formatDuration(total.activeMs)}</strong>typing time</div>
+</div>
+${barChart(days, "keystrokes", "Keystrokes per day")}
+${barChart(days, "wpm", "Words per minute", (wpm) => wpm.toFixed(0))}
+<h2>By language</h2>
+<table>
+<thead><tr><th>Language</th><th>Keystrokes</th><th>Deletions</th><th>Saves</th><th>Typing time</th><th>WPM</th><th>Backspace ratio</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Typing Stats</title>
+<style>
+  body { color: var(--vscode-foreground); font-family: var(--vscode-font-family); }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0; }
+  .cards div { padding: 8px 16px; border: 1px solid var(--vscode-panel-border); }
+  .cards strong { display: block; font-size: 1.6em; }
+  .chart { width: 100%; max-width: 600px; height: auto; }
+  .chart rect { fill: var(--vscode-charts-blue); }
+  table { border-collapse: collapse; }
+  th, td { padding: 4px 12px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  button { margin-right: 8px; color: var(--vscode-button-foreground); background: var(--vscode-button-background); border: none; padding: 4px 12px; }
+</style>
+</head>
+<body>
+<h1>🎹 Typing Stats</h1>
+${content}
+<p>
+  <button data-command="export" data-format="csv">Export CSV</button>
+  <button data-command="export" data-format="json">Export JSON</button>
+  <button data-command="clear">Clear</button>
+</p>
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  for (const button of document.querySelectorAll("button")) {
+    button.addEventListener("click", () =>
+      vscode.postMessage({ ...button.dataset })
+    );
+  }
+</script>
+</body>
+</html>`;
+}
+
+let panel = null;
+
+/**
+ * Show the typing stats dashboard, reusing the open panel if any.
+ * Buttons call back with "export" (and "csv" or "json") or "clear".
+ *
+ * @param {() => any} getSummary latest TypingStats summary
+ * @param {(command: string, format?: string) => Promise<void>} onCommand
+ */
+function showStatsPanel(getSummary, onCommand) {
+  const render = () => {
+    panel.webview.html = renderStatsHtml(getSummary(), {
+      cspSource: panel.webview.cspSource,
+      nonce: crypto.randomBytes(16).toString("hex"),
+    });
+  };
+
+  if (panel) {
+    render();
+    panel.reveal();
+    return;
+  }
+
+  panel = vscode.window.createWebviewPanel(
+    "hapticsound.stats",
+    "Typing Stats",
+    vscode.ViewColumn.Active,
+    { enableScripts: true }
+  );
+  panel.onDidChangeViewState(() => {
+    if (panel.visible) render();
+  });
+  panel.webview.onDidReceiveMessage(async (message) => {
+    await onCommand(message.command, message.format);
+    render();
+  });
+  panel.onDidDispose(() => {
+    panel = null;
+  });
+  render();
+}
+
+module.exports = {
+  renderStatsHtml,
+  showStatsPanel,
+};
@@ -0,0 +1,119 @@
+"use strict";
+const vscode = require("vscode");
+
+const SNOOZE_MINUTES = [15, 30, 60];
+const VOLUME_STEP = 10;
+
+/**
+ * Text and tooltip of the status bar item
+ *
+ * @param {{ enabled: boolean, muted: boolean, snoozedUntil?: number, autoMuteReason?: string, themeName: string, volume: number }} state
+ *   volume is 0-100
+ */
+function statusText({
+  enabled,
+  muted,
+  snoozedUntil,
+  autoMuteReason,
+  themeName,
+  volume,
+}) {
+  if (!enabled) {
+    return {
+      text: "$(mute) Off",
+      tooltip: "Haptic Sound: disabled in settings",
+    };
+  }
+  if (snoozedUntil !== undefined) {
+    const until = new Date(snoozedUntil).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    return {
+      text: `$(bell-slash) ${until}`,
+      tooltip: `Haptic Sound: snoozed until ${until}`,
+    };
+  }
+  if (muted) {
+    return { text: "$(mute) Muted", tooltip: "Haptic Sound: muted" };
+  }
+  if (autoMuteReason) {
+    return {
+      text: "$(mute) Auto",
+      tooltip: `Haptic Sound: muted, ${autoMuteReason}`,
+    };
+  }
+  return {
+    text: `$(unmute) ${themeName}`,
+    tooltip: `Haptic Sound: ${themeName} theme, volume ${volume}%`,
+  };
+}
+
+/**
+ * Volume after one step up or down, within 0-100
+ */
+function stepVolume(volume, direction) {
+  const stepped = Math.round(volume / VOLUME_STEP + direction) * VOLUME_STEP;
+  return Math.min(100, Math.max(0, stepped));
+}
+
+/**
+ * Show the menu opened from the status bar item.
+ * Resolves to the chosen action, or undefined when cancelled:
+ * { action: "mute" | "unmute" | "selectTheme" }, { action: "snooze", minutes }
+ * or { action: "volume", volume }.
+ *
+ * @param {{ muted: boolean, themeName: string, volume: number }} state
+ */
+async function showControlMenu({ muted, themeName, volume }) {
+  const separator = (label) => ({
+    label,
+    kind: vscode.QuickPickItemKind.Separator,
+  });
+  const volumeUp = stepVolume(volume, 1);
+  const volumeDown = stepVolume(volume, -1);
+
+  /** @type {(vscode.QuickPickItem & { value?: { action: string, minutes?: number, volume?: number } })[]} */
+  const items = [
+    muted
+      ? { label: "$(unmute) Unmute", value: { action: "unmute" } }
+      : {
+          label: "$(mute) Mute",
+          description: "until unmuted or the window reloads",
+          value: { action: "mute" },
+        },
+    separator("Snooze"),
+    ...SNOOZE_MINUTES.map((minutes) => ({
+      label: `$(bell-slash) Snooze for ${minutes} minutes`,
+      value: { action: "snooze", minutes },
+    })),
+    separator("Volume"),
+    {
+      label: "$(arrow-up) Volume Up",
+      description: `${volume}% → ${volumeUp}%`,
+      value: { action: "volume", volume: volumeUp },
+    },
+    {
+      label: "$(arrow-down) Volume Down",
+      description: `${volume}% → ${volumeDown}%`,
+      value: { action: "volume", volume: volumeDown },
+    },
+    separator("Theme"),
+    {
+      label: "$(symbol-color) Select Theme...",
+      description: themeName,
+      value: { action: "selectTheme" },
+    },
+  ];
+
+  const picked = await vscode.window.showQuickPick(items, {
+    title: "Haptic Sound",
+  });
+  return picked && picked.value;
+}
+
+module.exports = {
+  statusText,
+  stepVolume,
+  showControlMenu,
+};
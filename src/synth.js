@@ -0,0 +1,151 @@
+"use strict";
+
+// Starting points for synth recipes, any parameter can be overridden
+const PRESETS = {
+  click: {
+    waveform: "noise",
+    filter: { type: "highpass", frequency: 2500, Q: 0.7 },
+    attack: 0.001,
+    decay: 0.025,
+    gain: 0.6,
+  },
+  thock: {
+    waveform: "sine",
+    frequency: 180,
+    frequencyEnd: 90,
+    filter: { type: "lowpass", frequency: 900, Q: 1 },
+    attack: 0.002,
+    decay: 0.09,
+    gain: 0.9,
+  },
+  blip: {
+    waveform: "square",
+    frequency: 880,
+    frequencyEnd: 1320,
+    filter: { type: "lowpass", frequency: 4000, Q: 0.7 },
+    attack: 0.002,
+    decay: 0.06,
+    gain: 0.3,
+  },
+};
+
+const WAVEFORMS = ["sine", "square", "sawtooth", "triangle", "noise"];
+const FILTER_TYPES = ["lowpass", "highpass", "bandpass", "notch", "peaking"];
+
+// Frequency variation applied on each play, like the playback rate of samples
+const DEFAULT_SYNTH_PITCH = [0.94, 1.06];
+
+const positive = (value, fallback) =>
+  Number(value) > 0 ? Number(value) : fallback;
+
+/**
+ * Normalize a synth recipe: apply its preset and sanitize every parameter.
+ *
+ * Recipe fields: preset ("click" | "thock" | "blip"), waveform (an oscillator
+ * type or "noise"), frequency and frequencyEnd in Hz (exponential sweep over
+ * the decay), filter { type, frequency, Q }, attack and decay in seconds, gain.
+ */
+function normalizeSynth(recipe) {
+  const preset = PRESETS[recipe.preset] || PRESETS.click;
+  const merged = { ...preset, ...recipe };
+  const filter =
+    recipe.filter === null ? null : { ...preset.filter, ...recipe.filter };
+
+  const synth = {
+    waveform: WAVEFORMS.includes(merged.waveform) ? merged.waveform : "sine",
+    frequency: positive(merged.frequency, 440),
+    attack: Math.max(0, Number(merged.attack) || 0),
+    decay: positive(merged.decay, 0.05),
+    gain: Math.max(0, Number(merged.gain ?? 1)),
+  };
+  if (merged.frequencyEnd !== undefined) {
+    synth.frequencyEnd = positive(merged.frequencyEnd, synth.frequency);
+  }
+  if (filter && FILTER_TYPES.includes(filter.type)) {
+    synth.filter = {
+      type: filter.type,
+      frequency: positive(filter.frequency, 1000),
+      Q: positive(filter.Q, 1),
+    };
+  }
+  return synth;
+}
+
+/**
+ * One second of white noise per audio context, looped by noise voices
+ * @type {WeakMap<object, any>}
+ */
+const noiseBuffers = new WeakMap();
+function noiseBuffer(audioContext) {
+  let buffer = noiseBuffers.get(audioContext);
+  if (!buffer) {
+    const length = audioContext.sampleRate;
+    buffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    noiseBuffers.set(audioContext, buffer);
+  }
+  return buffer;
+}
+
+/**
+ * Start a synthesized sound into `destination`.
+ * `rate` scales every frequency, like the playback rate of a sample.
+ * Returns the source node; it ends by itself once the envelope is done.
+ */
+function startSynth(audioContext, synth, destination, rate = 1) {
+  const now = audioContext.currentTime;
+  const end = now + synth.attack + synth.decay;
+
+  let source;
+  if (synth.waveform === "noise") {
+    source = audioContext.createBufferSource();
+    source.buffer = noiseBuffer(audioContext);
+    source.loop = true;
+    source.playbackRate.value = rate;
+  } else {
+    source = audioContext.createOscillator();
+    source.type = synth.waveform;
+    source.frequency.setValueAtTime(synth.frequency * rate, now);
+    if (synth.frequencyEnd !== undefined) {
+      source.frequency.exponentialRampToValueAtTime(
+        synth.frequencyEnd * rate,
+        end
+      );
+    }
+  }
+
+  // Attack then exponential decay, ramping to near zero (not exactly 0)
+  const envelope = audioContext.createGain();
+  envelope.gain.setValueAtTime(0.0001, now);
+  envelope.gain.linearRampToValueAtTime(
+    Math.max(synth.gain, 0.0001),
+    now + synth.attack
+  );
+  envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+  let output = source;
+  if (synth.filter) {
+    const filter = audioContext.createBiquadFilter();
+    filter.type = synth.filter.type;
+    filter.frequency.value = synth.filter.frequency * rate;
+    filter.Q.value = synth.filter.Q;
+    source.connect(filter);
+    output = filter;
+  }
+  output.connect(envelope);
+  envelope.connect(destination);
+
+  source.start(now);
+  source.stop(end + 0.01);
+  return source;
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_SYNTH_PITCH,
+  normalizeSynth,
+  startSynth,
+};
@@ -0,0 +1,70 @@
+"use strict";
+
+/**
+ * Turn a task name pattern with `*` wildcards into a regular expression.
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * Whether a task passes the group and name filters.
+ * An empty list means "no filter". Tasks without a group match "none".
+ *
+ * @param {{ name: string, group?: { id: string } }} task
+ * @param {{ groups?: string[], names?: string[] }} filter
+ */
+function matchesTask(task, filter) {
+  const groups = filter.groups || [];
+  const names = filter.names || [];
+
+  const group = task.group ? task.group.id : "none";
+  if (groups.length > 0 && !groups.includes(group)) return false;
+
+  if (names.length > 0) {
+    return names.some((pattern) => patternToRegExp(pattern).test(task.name));
+  }
+  return true;
+}
+
+/**
+ * Remembers when task processes started so that their completion can be
+ * turned into a "taskSucceeded" or "taskFailed" sound, skipping tasks that
+ * finished faster than the minimum duration.
+ */
+class TaskTracker {
+  constructor() {
+    /** @type {Map<object, number>} */
+    this.started = new Map();
+  }
+
+  start(execution, now = Date.now()) {
+    this.started.set(execution, now);
+  }
+
+  /**
+   * Returns the sound kind for a finished task process, or null.
+   * An undefined exit code means the process was terminated.
+   */
+  end(execution, exitCode, minDuration = 0, now = Date.now()) {
+    const startedAt = this.started.get(execution);
+    this.started.delete(execution);
+
+    if (startedAt === undefined || exitCode === undefined) return null;
+    if (now - startedAt < minDuration) return null;
+    return exitCode === 0 ? "taskSucceeded" : "taskFailed";
+  }
+
+  dispose() {
+    this.started.clear();
+  }
+}
+
+module.exports = {
+  TaskTracker,
+  matchesTask,
+};
@@ -0,0 +1,108 @@
+"use strict";
+const vscode = require("vscode");
+
+// Sounds played when a theme is highlighted, with their delay in milliseconds
+/** @type {[string, number][]} */
+const AUDITION = [
+  ["key", 0],
+  ["key", 140],
+  ["backspace", 300],
+  ["save", 520],
+];
+
+/**
+ * Show a QuickPick of theme names. Highlighting a theme auditions its
+ * key, backspace and save sounds through `preview(themeName, kind)`.
+ * Resolves to the accepted theme name, or undefined when cancelled.
+ *
+ * @param {{ themeNames: string[], currentTheme?: string, preview: (themeName: string, kind: string) => void }} options
+ */
+function pickTheme({ themeNames, currentTheme, preview }) {
+  return new Promise((resolve) => {
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = "Haptic Sound: Select Theme";
+    quickPick.placeholder = "Move through the list to hear each theme";
+    quickPick.items = themeNames.map((name) => ({
+      label: name,
+      description: name === currentTheme ? "current" : undefined,
+    }));
+    const current = quickPick.items.find((item) => item.label === currentTheme);
+    if (current) quickPick.activeItems = [current];
+
+    let timers = [];
+    const stopAudition = () => {
+      timers.forEach(clearTimeout);
+      timers = [];
+    };
+
+    let accepted;
+    quickPick.onDidChangeActive(([item]) => {
+      stopAudition();
+      if (!item) return;
+      timers = AUDITION.map(([kind, delay]) =>
+        setTimeout(() => preview(item.label, kind), delay)
+      );
+    });
+    quickPick.onDidAccept(() => {
+      const [item] = quickPick.selectedItems;
+      accepted = item && item.label;
+      quickPick.hide();
+    });
+    quickPick.onDidHide(() => {
+      stopAudition();
+      quickPick.dispose();
+      resolve(accepted);
+    });
+    quickPick.show();
+  });
+}
+
+/**
+ * Ask where to save a setting: user, workspace or a workspace folder.
+ * Resolves to { target, scope } for getConfiguration/update, or undefined.
+ */
+async function pickTarget() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  const items = [
+    {
+      label: "User",
+      description: "All windows",
+      target: vscode.ConfigurationTarget.Global,
+    },
+  ];
+  if (folders.length > 0) {
+    items.push({
+      label: "Workspace",
+      description: vscode.workspace.name,
+      target: vscode.ConfigurationTarget.Workspace,
+    });
+    items.push({
+      label: "Workspace Folder",
+      description: folders.length === 1 ? folders[0].name : undefined,
+      target: vscode.ConfigurationTarget.WorkspaceFolder,
+    });
+  }
+
+  const picked =
+    items.length === 1
+      ? items[0]
+      : await vscode.window.showQuickPick(items, {
+          title: "Save theme setting in",
+        });
+  if (!picked) return undefined;
+
+  if (picked.target !== vscode.ConfigurationTarget.WorkspaceFolder) {
+    return { target: picked.target, scope: undefined };
+  }
+  const folder =
+    folders.length === 1
+      ? folders[0]
+      : await vscode.window.showWorkspaceFolderPick();
+  if (!folder) return undefined;
+  return { target: picked.target, scope: folder.uri };
+}
+
+module.exports = {
+  pickTheme,
+  pickTarget,
+};
@@ -0,0 +1,121 @@
+"use strict";
+const fs = require("fs");
+const path = require("path");
+const { normalizeSound } = require("./soundSpec");
+
+/**
+ * Resolve every sound of a theme relative to the folder of its manifest.
+ * `extends` names the theme this one inherits from and is kept as is.
+ */
+function normalizeTheme(mapping, baseDir) {
+  const theme = {};
+  for (const [kind, sound] of Object.entries(mapping)) {
+    if (kind === "extends") {
+      if (typeof sound === "string") theme.extends = sound.toLowerCase();
+      continue;
+    }
+    const normalized = normalizeSound(sound, baseDir);
+    if (normalized) theme[kind] = normalized;
+  }
+  return theme;
+}
+
+/**
+ * Apply `extends`: each theme gets the sounds of its parent theme, then its
+ * own on top. Unknown parents and cycles are reported through onError and
+ * ignored.
+ *
+ * @param {Record<string, any>} themes
+ * @param {(themeName: string, error: Error) => void} [onError]
+ */
+function resolveExtends(themes, onError) {
+  const resolved = {};
+
+  const resolve = (themeName, visiting) => {
+    if (resolved[themeName]) return resolved[themeName];
+    const { extends: parentName, ...theme } = themes[themeName];
+
+    let parent = {};
+    if (parentName) {
+      if (!themes[parentName]) {
+        if (onError) {
+          onError(themeName, new Error(`Unknown theme "${parentName}"`));
+        }
+      } else if (visiting.has(parentName)) {
+        if (onError) {
+          onError(themeName, new Error(`Circular extends "${parentName}"`));
+        }
+      } else {
+        parent = resolve(parentName, new Set([...visiting, parentName]));
+      }
+    }
+
+    resolved[themeName] = { ...parent, ...theme };
+    return resolved[themeName];
+  };
+
+  for (const themeName of Object.keys(themes)) {
+    resolve(themeName, new Set([themeName]));
+  }
+  return resolved;
+}
+
+/**
+ * Load a theme manifest: an object mapping theme names to their sounds,
+ * like the bundled themes.json. Theme names are lower-cased.
+ * Throws when the file can't be read or parsed.
+ */
+function loadThemeFile(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const baseDir = path.dirname(filePath);
+
+  const themes = {};
+  for (const [themeName, mapping] of Object.entries(parsed)) {
+    if (!mapping || typeof mapping !== "object") continue;
+    themes[themeName.toLowerCase()] = normalizeTheme(mapping, baseDir);
+  }
+  return themes;
+}
+
+/**
+ * Manifest files of a source: the file itself, or every .json file of a folder.
+ */
+function manifestFiles(sourcePath) {
+  if (!fs.existsSync(sourcePath)) return [];
+  if (!fs.statSync(sourcePath).isDirectory()) return [sourcePath];
+
+  return fs
+    .readdirSync(sourcePath)
+    .filter((name) => name.toLowerCase().endsWith(".json"))
+    .sort()
+    .map((name) => path.join(sourcePath, name));
+}
+
+/**
+ * Load themes from manifest files and folders. Later sources override
+ * themes of the same name from earlier ones. Broken manifests are reported
+ * through onError and skipped.
+ *
+ * @param {string[]} sourcePaths
+ * @param {(filePath: string, error: Error) => void} [onError]
+ */
+function loadThemeSources(sourcePaths, onError) {
+  const themes = {};
+  for (const sourcePath of sourcePaths) {
+    for (const filePath of manifestFiles(sourcePath)) {
+      try {
+        Object.assign(themes, loadThemeFile(filePath));
+      } catch (e) {
+        if (onError) onError(filePath, e);
+      }
+    }
+  }
+  return themes;
+}
+
+module.exports = {
+  normalizeTheme,
+  resolveExtends,
+  loadThemeFile,
+  loadThemeSources,
+};
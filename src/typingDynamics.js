@@ -0,0 +1,145 @@
+"use strict";
+
+const DEFAULTS = {
+  // Gain and playback rate multipliers, from slow pecking to fast bursts
+  velocity: [0.75, 1.1],
+  pitch: [0.97, 1.04],
+  // Exponent applied to the typing speed: > 1 reacts mostly to fast typing
+  curve: 1,
+  // Intervals between keystrokes in milliseconds counted as fastest/slowest
+  fastInterval: 60,
+  slowInterval: 400,
+  // Keystrokes after which a run gets softer, and the gain it settles at
+  sustainAfter: 50,
+  sustainGain: 0.7,
+  // Random variation of gain and pitch around the curve
+  jitter: 0.03,
+};
+
+// A pause longer than this ends a run of keystrokes
+const RUN_BREAK_MS = 1500;
+
+// Weight of the newest interval in the smoothed typing speed
+const SMOOTHING = 0.3;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning numbers in [0, 1),
+ * a drop-in replacement for Math.random that replays the same sequence.
+ */
+function createRandom(seed) {
+  let state = Math.floor(Number(seed)) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function range(value, fallback) {
+  if (!Array.isArray(value) || value.length !== 2) return fallback;
+  const [min, max] = value.map(Number);
+  if (!(min > 0 && max > 0)) return fallback;
+  return [Math.min(min, max), Math.max(min, max)];
+}
+
+/**
+ * Tracks the timing of keystrokes and turns it into a gain and a playback
+ * rate multiplier: fast typing sounds a bit harder and higher, slow pecking
+ * softer and lower, and long sustained runs fade towards `sustainGain`.
+ */
+class TypingDynamics {
+  /**
+   * @param {Partial<typeof DEFAULTS>} [options]
+   * @param {() => number} [random]
+   */
+  constructor(options = {}, random = Math.random) {
+    this.configure(options, random);
+  }
+
+  /**
+   * Update curves and limits, and the random generator used for jitter.
+   * The current run is forgotten.
+   */
+  configure(options = {}, random = Math.random) {
+    const number = (key, min) =>
+      Number(options[key]) >= min ? Number(options[key]) : DEFAULTS[key];
+
+    this.velocity = range(options.velocity, DEFAULTS.velocity);
+    this.pitch = range(options.pitch, DEFAULTS.pitch);
+    this.curve = Number(options.curve) > 0 ? Number(options.curve) : 1;
+    this.fastInterval = number("fastInterval", 1);
+    this.slowInterval = Math.max(
+      number("slowInterval", 1),
+      this.fastInterval + 1
+    );
+    this.sustainAfter = number("sustainAfter", 1);
+    this.sustainGain = Math.min(1, number("sustainGain", 0));
+    this.jitter = Math.min(0.5, number("jitter", 0));
+    this.random = random;
+    this.reset();
+  }
+
+  reset() {
+    this.lastTime = undefined;
+    this.interval = undefined;
+    this.runLength = 0;
+  }
+
+  /**
+   * Record a keystroke and return the multipliers for its sound.
+   *
+   * @returns {{ gain: number, rate: number }}
+   */
+  keystroke(now = Date.now()) {
+    const elapsed =
+      this.lastTime === undefined ? Infinity : now - this.lastTime;
+    this.lastTime = now;
+
+    if (elapsed > RUN_BREAK_MS) {
+      this.interval = undefined;
+      this.runLength = 0;
+    } else {
+      this.interval =
+        this.interval === undefined
+          ? elapsed
+          : this.interval + (elapsed - this.interval) * SMOOTHING;
+    }
+    this.runLength++;
+
+    const speed = this.speed();
+    const lerp = ([min, max]) => min + (max - min) * speed;
+    const jitter = () => 1 + (this.random() * 2 - 1) * this.jitter;
+
+    // Past sustainAfter keystrokes, fade over as many more to sustainGain
+    const overrun = Math.max(0, this.runLength - this.sustainAfter);
+    const sustain =
+      1 - (1 - this.sustainGain) * Math.min(1, overrun / this.sustainAfter);
+
+    return {
+      gain: lerp(this.velocity) * sustain * jitter(),
+      rate: lerp(this.pitch) * jitter(),
+    };
+  }
+
+  /**
+   * Typing speed from 0 for slow pecking (and the first keystroke of a run)
+   * to 1 at fastInterval, shaped by the curve
+   *
+   * @private
+   */
+  speed() {
+    if (this.interval === undefined) return 0;
+    const linear =
+      (this.slowInterval - this.interval) /
+      (this.slowInterval - this.fastInterval);
+    return Math.min(1, Math.max(0, linear)) ** this.curve;
+  }
+}
+
+module.exports = {
+  DEFAULTS,
+  createRandom,
+  TypingDynamics,
+};
@@ -0,0 +1,224 @@
+"use strict";
+
+const STATS_KEY = "hapticsound.typingStats";
+
+// Gaps between keystrokes longer than this are not counted as typing time
+const IDLE_MS = 5000;
+
+// Pending counts are written to the memento at most this often
+const FLUSH_DELAY_MS = 30 * 1000;
+
+// Days kept in storage
+const RETENTION_DAYS = 365;
+
+// Characters per word when computing words per minute
+const WORD_LENGTH = 5;
+
+const COUNTERS = ["keystrokes", "deletions", "saves", "activeMs"];
+
+/**
+ * Local calendar day of a timestamp, as YYYY-MM-DD
+ */
+function dayKey(time) {
+  const date = new Date(time);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * Derived metrics of a set of counts: words per minute over the active
+ * typing time and the share of deletions among edits
+ */
+function withMetrics(counts) {
+  const minutes = counts.activeMs / 60000;
+  const edits = counts.keystrokes + counts.deletions;
+  return {
+    ...counts,
+    wpm: minutes > 0 ? counts.keystrokes / WORD_LENGTH / minutes : 0,
+    backspaceRatio: edits > 0 ? counts.deletions / edits : 0,
+  };
+}
+
+function emptyCounts() {
+  return { keystrokes: 0, deletions: 0, saves: 0, activeMs: 0 };
+}
+
+function addCounts(total, counts) {
+  for (const counter of COUNTERS) {
+    total[counter] += counts[counter] || 0;
+  }
+  return total;
+}
+
+/**
+ * Per-day and per-language typing counts: keystrokes, deletions, saves and
+ * active typing time, kept in a Memento (usually `context.globalState`).
+ * Counts are buffered in memory and written every 30 seconds and on dispose.
+ *
+ * Stored as { days: { "YYYY-MM-DD": { [languageId]: counts } } }.
+ */
+class TypingStats {
+  /**
+   * @param {{ get: (key: string) => any, update: (key: string, value: any) => Thenable<void> }} memento
+   * @param {() => number} [now]
+   */
+  constructor(memento, now = Date.now) {
+    this.memento = memento;
+    this.now = now;
+    const stored = memento.get(STATS_KEY);
+    this.days = (stored && stored.days) || {};
+    this.lastActivity = undefined;
+    /** @type {NodeJS.Timeout | undefined} */
+    this.flushTimer = undefined;
+  }
+
+  /**
+   * Count a keystroke, a deletion or a save for a language
+   *
+   * @param {"keystroke" | "deletion" | "save"} event
+   * @param {string} languageId
+   */
+  record(event, languageId) {
+    const now = this.now();
+    const counts = this.countsFor(dayKey(now), languageId || "unknown");
+
+    if (event === "save") {
+      counts.saves++;
+    } else {
+      if (event === "deletion") counts.deletions++;
+      else counts.keystrokes++;
+
+      const gap =
+        this.lastActivity === undefined ? Infinity : now - this.lastActivity;
+      if (gap < IDLE_MS) counts.activeMs += gap;
+      this.lastActivity = now;
+    }
+    this.scheduleFlush();
+  }
+
+  /**
+   * Totals per day (oldest first) and per language (busiest first),
+   * plus the overall total, each with WPM and backspace ratio
+   */
+  summary() {
+    const total = emptyCounts();
+    const languages = {};
+    const days = Object.keys(this.days)
+      .sort()
+      .map((day) => {
+        const dayTotal = emptyCounts();
+        for (const [languageId, counts] of Object.entries(this.days[day])) {
+          addCounts(dayTotal, counts);
+          addCounts((languages[languageId] ||= emptyCounts()), counts);
+        }
+        addCounts(total, dayTotal);
+        return { day, ...withMetrics(dayTotal) };
+      });
+
+    return {
+      days,
+      languages: Object.entries(languages)
+        .map(([languageId, counts]) => ({ languageId, ...withMetrics(counts) }))
+        .sort((a, b) => b.keystrokes - a.keystrokes),
+      total: withMetrics(total),
+    };
+  }
+
+  /**
+   * One row per day and language
+   */
+  rows() {
+    return Object.keys(this.days)
+      .sort()
+      .flatMap((day) =>
+        Object.entries(this.days[day]).map(([languageId, counts]) => ({
+          day,
+          languageId,
+          ...withMetrics({ ...emptyCounts(), ...counts }),
+        }))
+      );
+  }
+
+  toJSON() {
+    return JSON.stringify({ days: this.days }, null, 2);
+  }
+
+  toCSV() {
+    const header = [
+      "day",
+      "language",
+      "keystrokes",
+      "deletions",
+      "saves",
+      "activeSeconds",
+      "wpm",
+      "backspaceRatio",
+    ];
+    const lines = this.rows().map((row) =>
+      [
+        row.day,
+        `"${row.languageId.replace(/"/g, '""')}"`,
+        row.keystrokes,
+        row.deletions,
+        row.saves,
+        Math.round(row.activeMs / 1000),
+        row.wpm.toFixed(1),
+        row.backspaceRatio.toFixed(3),
+      ].join(",")
+    );
+    return [header.join(","), ...lines].join("\n") + "\n";
+  }
+
+  /**
+   * Forget every count, in memory and in storage
+   */
+  clear() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = undefined;
+    this.days = {};
+    this.lastActivity = undefined;
+    return this.memento.update(STATS_KEY, undefined);
+  }
+
+  /**
+   * Write pending counts, dropping days past the retention period
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = undefined;
+
+    const oldest = dayKey(this.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const day of Object.keys(this.days)) {
+      if (day < oldest) delete this.days[day];
+    }
+    return this.memento.update(STATS_KEY, { days: this.days });
+  }
+
+  dispose() {
+    if (this.flushTimer) this.flush();
+  }
+
+  /**
+   * @private
+   */
+  countsFor(day, languageId) {
+    const languages = (this.days[day] ||= {});
+    return (languages[languageId] ||= emptyCounts());
+  }
+
+  /**
+   * @private
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+  }
+}
+
+module.exports = {
+  dayKey,
+  withMetrics,
+  TypingStats,
+};
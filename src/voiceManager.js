@@ -0,0 +1,113 @@
+"use strict";
+
+const DEFAULT_MAX_VOICES = 6;
+
+// Minimum time in milliseconds between two sounds of the same kind. Events
+// are limited too, e.g. holding the step-over key or a task rerun in a loop.
+const DEFAULT_MIN_INTERVALS = {
+  key: 25,
+  backspace: 25,
+  save: 150,
+  errorIntroduced: 500,
+  warningIntroduced: 500,
+  errorsCleared: 500,
+  taskSucceeded: 250,
+  taskFailed: 250,
+  debugStarted: 250,
+  debugStopped: 250,
+  breakpointHit: 100,
+  stepStopped: 100,
+  exceptionStopped: 100,
+};
+
+/**
+ * Keeps track of playing voices so that bursts of edits (paste, key repeat,
+ * macros) never stack more than `maxVoices` sounds on top of each other.
+ *
+ * A voice is any object with a `stop()` method. When the pool is full the
+ * oldest voice is stopped to make room for the new one ("voice stealing").
+ */
+class VoiceManager {
+  /**
+   * @param {{ maxVoices?: number, minIntervals?: Record<string, number> }} [options]
+   */
+  constructor(options = {}) {
+    this.voices = [];
+    /** @type {Map<string, number>} */
+    this.lastPlayed = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Update polyphony and rate limits. Already playing voices are trimmed.
+   */
+  configure(options = {}) {
+    const maxVoices = Math.floor(Number(options.maxVoices));
+    this.maxVoices = maxVoices >= 1 ? maxVoices : DEFAULT_MAX_VOICES;
+    this.minIntervals = { ...DEFAULT_MIN_INTERVALS, ...options.minIntervals };
+    while (this.voices.length > this.maxVoices) {
+      this.steal();
+    }
+  }
+
+  /**
+   * Rate limiter: returns true and records the time when a sound of this
+   * kind may play now, false when the last one was too recent.
+   */
+  shouldPlay(kind, now = Date.now()) {
+    const interval = Number(this.minIntervals[kind]) || 0;
+    const last = this.lastPlayed.get(kind);
+    if (last !== undefined && now - last < interval) return false;
+    this.lastPlayed.set(kind, now);
+    return true;
+  }
+
+  /**
+   * Add a started voice to the pool, stealing the oldest one when full.
+   */
+  register(voice) {
+    while (this.voices.length >= this.maxVoices) {
+      this.steal();
+    }
+    this.voices.push(voice);
+  }
+
+  /**
+   * Forget a voice that finished on its own.
+   */
+  release(voice) {
+    const index = this.voices.indexOf(voice);
+    if (index !== -1) this.voices.splice(index, 1);
+  }
+
+  /**
+   * Stop every playing voice.
+   */
+  stopAll() {
+    while (this.voices.length > 0) {
+      this.steal();
+    }
+  }
+
+  get activeCount() {
+    return this.voices.length;
+  }
+
+  /**
+   * @private
+   */
+  steal() {
+    const oldest = this.voices.shift();
+    try {
+      oldest.stop();
+    } catch {
+      // Already stopped
+    }
+  }
+}
+
+module.exports = {
+  VoiceManager,
+  DEFAULT_MAX_VOICES,
+  DEFAULT_MIN_INTERVALS,
+};
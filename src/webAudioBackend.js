@@ -0,0 +1,352 @@
+"use strict";
+const { startSynth } = require("./synth");
+const { createImpulse, buildEffectsChain } = require("./effects");
+
+// Short fade applied to stolen voices to avoid clicks
+const VOICE_FADE_SECONDS = 0.015;
+
+// Suspend the audio context after this long without sounds, 0 never does
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 1000;
+
+// Sample rate of decoded files until the rate of the output is known
+const DEFAULT_SAMPLE_RATE = 48000;
+
+/**
+ * Audio backend on node-web-audio-api, with every feature: pitch, panning,
+ * synthesized sounds and the master effects chain.
+ *
+ * Graph: voice gain → (panner) → effects → limiter → master gain → output.
+ *
+ * The audio context is only created for the first sound and suspended when
+ * idle, so the audio device can sleep. It is created again when it was
+ * closed under us, e.g. after the output device went away. Files are
+ * decoded without it, AudioBuffers work in any context.
+ */
+class WebAudioBackend {
+  /**
+   * Throws when the native module can't load.
+   *
+   * @param {{ AudioContext: any, OfflineAudioContext: any }} [webAudio]
+   *   defaults to node-web-audio-api
+   * @param {{ idleTimeout?: number, onError?: (error: Error) => void, onUnavailable?: (error: Error) => void }} [options]
+   *   onUnavailable is called instead of onError when no output device can
+   *   be opened, e.g. to switch to another backend
+   */
+  constructor(webAudio = require("node-web-audio-api"), options = {}) {
+    this.name = "webaudio";
+    this.description = "Web Audio (node-web-audio-api)";
+    this.decodesSamples = true;
+    this.AudioContext = webAudio.AudioContext;
+    this.OfflineAudioContext = webAudio.OfflineAudioContext;
+    this.onError = options.onError || (() => {});
+    this.onUnavailable = options.onUnavailable || this.onError;
+    this.idleTimeout = DEFAULT_IDLE_TIMEOUT_MS;
+    this.configure(options);
+
+    this.audioContext = null;
+    this.decodeContext = null;
+    this.sampleRate = DEFAULT_SAMPLE_RATE;
+    this.effects = null;
+    this.impulse = null;
+    /** @type {Set<() => void>} ends of the playing voices */
+    this.voices = new Set();
+    /** @type {NodeJS.Timeout | undefined} */
+    this.idleTimer = undefined;
+    this.failing = false;
+  }
+
+  /**
+   * @param {{ idleTimeout?: number }} options idle time before suspending,
+   *   in ms
+   */
+  configure({ idleTimeout }) {
+    if (Number.isFinite(idleTimeout) && idleTimeout >= 0) {
+      this.idleTimeout = idleTimeout;
+    }
+  }
+
+  /**
+   * State of the audio context: "none" before the first sound, then
+   * "running", "suspended" or "closed"
+   */
+  get state() {
+    return this.audioContext ? this.audioContext.state : "none";
+  }
+
+  /**
+   * State, sample rate and latencies in seconds of the audio context,
+   * for diagnostics
+   */
+  status() {
+    const { audioContext } = this;
+    if (!audioContext) return { state: "none" };
+    return {
+      state: audioContext.state,
+      sampleRate: audioContext.sampleRate,
+      baseLatency: audioContext.baseLatency,
+      outputLatency: audioContext.outputLatency,
+    };
+  }
+
+  /**
+   * Decode the contents of an audio file
+   */
+  decode(data) {
+    return this.offlineContext().decodeAudioData(data);
+  }
+
+  /**
+   * Start a voice. Returns an object with stop(), or null when the variant
+   * can't be played; `onEnded` is called once the voice is done.
+   *
+   * @param {any} variant a { file, offset, duration } or { synth } variant
+   * @param {import("./audioBackends").PlayOptions} options
+   */
+  play(variant, options) {
+    for (let attempt = 1; ; attempt++) {
+      let audioContext;
+      try {
+        audioContext = this.context();
+      } catch (error) {
+        // No device to open
+        this.discardContext();
+        this.reportFailure(error);
+        return null;
+      }
+
+      try {
+        const voice = this.startVoice(audioContext, variant, options);
+        this.failing = false;
+        this.scheduleSuspend();
+        return voice;
+      } catch (error) {
+        if (audioContext.state !== "closed") {
+          // A bad sound, e.g. a gain that isn't a number: the context and
+          // its voices are fine
+          this.onError(error);
+          return null;
+        }
+        // The context lost its device, try a new one once
+        if (attempt === 2) {
+          this.discardContext();
+          this.reportFailure(error);
+          return null;
+        }
+      }
+    }
+  }
+
+  /**
+   * Report a device that can't be opened, once until a sound plays again
+   *
+   * @private
+   */
+  reportFailure(error) {
+    if (!this.failing) this.onUnavailable(error);
+    this.failing = true;
+  }
+
+  /**
+   * Impulse response of a built-in reverb preset
+   */
+  createImpulse(preset) {
+    return createImpulse(this.offlineContext(), preset);
+  }
+
+  /**
+   * Replace the master effects chain (see src/effects.js). Kept for the
+   * next audio context when there is none yet.
+   */
+  setEffects(effects, impulse) {
+    this.effects = effects;
+    this.impulse = impulse;
+    if (this.audioContext) this.connectEffects();
+  }
+
+  dispose() {
+    clearTimeout(this.idleTimer);
+    this.discardContext();
+  }
+
+  /**
+   * The running audio context, created or resumed as needed. Sounds
+   * started while it resumes play as soon as it runs.
+   *
+   * @private
+   */
+  context() {
+    if (this.audioContext && this.audioContext.state === "closed") {
+      this.discardContext();
+    }
+    if (!this.audioContext) this.createContext();
+    const { audioContext } = this;
+    if (audioContext.state === "suspended") {
+      Promise.resolve(audioContext.resume()).catch((e) => {
+        if (this.audioContext === audioContext) this.discardContext();
+        this.onError(e);
+      });
+    }
+    return audioContext;
+  }
+
+  /**
+   * @private
+   */
+  createContext() {
+    const audioContext = new this.AudioContext();
+    this.audioContext = audioContext;
+    this.sampleRate = audioContext.sampleRate || this.sampleRate;
+
+    // Master gain, the volume setting is applied per voice
+    this.gainNode = audioContext.createGain();
+    this.gainNode.connect(audioContext.destination);
+
+    // Soft limiter in front of the master gain so overlapping voices
+    // never clip
+    this.limiterNode = audioContext.createDynamicsCompressor();
+    this.limiterNode.threshold.value = -6;
+    this.limiterNode.knee.value = 6;
+    this.limiterNode.ratio.value = 20;
+    this.limiterNode.attack.value = 0.002;
+    this.limiterNode.release.value = 0.1;
+    this.limiterNode.connect(this.gainNode);
+
+    // Voices connect to the input of the effects chain
+    this.effectsChain = { input: this.limiterNode, dispose() {} };
+    if (this.effects) this.connectEffects();
+  }
+
+  /**
+   * Close the audio context, ending its voices. The next sound creates
+   * a new one.
+   *
+   * @private
+   */
+  discardContext() {
+    const { audioContext } = this;
+    if (!audioContext) return;
+    this.audioContext = null;
+
+    for (const end of [...this.voices]) end();
+    if (audioContext.state === "closed") return;
+    try {
+      Promise.resolve(audioContext.close()).catch(() => {});
+    } catch {
+      // Ignore shutdown errors
+    }
+  }
+
+  /**
+   * @private
+   */
+  connectEffects() {
+    this.effectsChain.dispose();
+    this.effectsChain = buildEffectsChain(
+      this.audioContext,
+      this.effects,
+      this.limiterNode,
+      this.impulse
+    );
+  }
+
+  /**
+   * Context used to decode files and build impulse responses, which
+   * doesn't open the audio device
+   *
+   * @private
+   */
+  offlineContext() {
+    if (
+      !this.decodeContext ||
+      this.decodeContext.sampleRate !== this.sampleRate
+    ) {
+      this.decodeContext = new this.OfflineAudioContext(1, 1, this.sampleRate);
+    }
+    return this.decodeContext;
+  }
+
+  /**
+   * Suspend the audio context once no sound played for the idle timeout
+   *
+   * @private
+   */
+  scheduleSuspend() {
+    clearTimeout(this.idleTimer);
+    if (this.idleTimeout === 0) return;
+    this.idleTimer = setTimeout(() => {
+      const { audioContext } = this;
+      if (!audioContext || audioContext.state !== "running") return;
+      if (this.voices.size > 0) {
+        this.scheduleSuspend();
+        return;
+      }
+      Promise.resolve(audioContext.suspend()).catch(() => {});
+    }, this.idleTimeout);
+    // Don't keep the extension host alive for it
+    if (this.idleTimer.unref) this.idleTimer.unref();
+  }
+
+  /**
+   * @private
+   * @param {any} audioContext
+   * @param {any} variant
+   * @param {import("./audioBackends").PlayOptions} options
+   */
+  startVoice(audioContext, variant, { audioBuffer, gain, pan, rate, onEnded }) {
+    // Each voice gets its own gain so it can be faded out when stolen
+    const voiceGain = audioContext.createGain();
+    voiceGain.gain.value = gain;
+
+    // Centered sounds skip the panner
+    let panner;
+    if (pan !== 0) {
+      panner = audioContext.createStereoPanner();
+      panner.pan.value = pan;
+      voiceGain.connect(panner);
+      panner.connect(this.effectsChain.input);
+    } else {
+      voiceGain.connect(this.effectsChain.input);
+    }
+
+    let source;
+    if (variant.synth) {
+      source = startSynth(audioContext, variant.synth, voiceGain, rate);
+    } else {
+      source = audioContext.createBufferSource();
+      source.buffer = audioBuffer;
+      source.playbackRate.value = rate;
+      source.connect(voiceGain);
+    }
+
+    // Called once, when the source ends or the context is discarded
+    const end = () => {
+      if (!this.voices.delete(end)) return;
+      voiceGain.disconnect();
+      if (panner) panner.disconnect();
+      onEnded();
+    };
+    source.onended = end;
+
+    // Synthesized sounds are already scheduled by startSynth
+    if (!variant.synth) {
+      if (variant.duration === undefined) {
+        source.start(0, variant.offset || 0);
+      } else {
+        source.start(0, variant.offset || 0, variant.duration);
+      }
+    }
+
+    this.voices.add(end);
+    return {
+      stop() {
+        const now = audioContext.currentTime;
+        voiceGain.gain.setTargetAtTime(0, now, VOICE_FADE_SECONDS / 3);
+        source.stop(now + VOICE_FADE_SECONDS);
+      },
+    };
+  }
+}
+
+module.exports = {
+  WebAudioBackend,
+};
@@ -0,0 +1,207 @@
+const assert = require("assert");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  NullBackend,
+  ExternalPlayerBackend,
+  findOnPath,
+  commandPlayer,
+  windowsPlayer,
+  createBackend,
+} = require("../src/audioBackends");
+
+suite("Audio Backends Test Suite", () => {
+  const fakePlayer = () => {
+    const played = [];
+    return {
+      name: "fake",
+      played,
+      play(file, gain, onEnded) {
+        played.push({ file, gain });
+        onEnded();
+        return { stop() {} };
+      },
+    };
+  };
+  const failing = () => {
+    throw new Error("unavailable");
+  };
+
+  test("Auto prefers Web Audio", () => {
+    const webAudio = { name: "webaudio" };
+    const backend = createBackend("auto", {
+      createWebAudio: () => webAudio,
+      findPlayer: fakePlayer,
+    });
+    assert.strictEqual(backend, webAudio);
+  });
+
+  test("Falls back to an external player, then to silence", () => {
+    const errors = [];
+    const onError = (name) => errors.push(name);
+
+    let backend = createBackend("auto", {
+      createWebAudio: failing,
+      findPlayer: fakePlayer,
+      onError,
+    });
+    assert.strictEqual(backend.name, "external");
+    assert.strictEqual(backend.description, "External player (fake)");
+
+    backend = createBackend("auto", {
+      createWebAudio: failing,
+      findPlayer: () => null,
+      onError,
+    });
+    assert.strictEqual(backend.name, "none");
+    assert.deepStrictEqual(errors, ["webaudio", "webaudio", "external"]);
+  });
+
+  test("A forced choice skips the backends before it", () => {
+    let created = false;
+    const createWebAudio = () => {
+      created = true;
+      return { name: "webaudio" };
+    };
+
+    const external = createBackend("external", {
+      createWebAudio,
+      findPlayer: fakePlayer,
+    });
+    assert.strictEqual(external.name, "external");
+
+    const none = createBackend("none", { createWebAudio });
+    assert.strictEqual(none.name, "none");
+    assert.strictEqual(created, false);
+  });
+
+  test("Unknown choices are treated as auto", () => {
+    const backend = createBackend("bogus", {
+      createWebAudio: () => ({ name: "webaudio" }),
+    });
+    assert.strictEqual(backend.name, "webaudio");
+  });
+
+  test("The null backend records plays and ends them", async () => {
+    const backend = new NullBackend();
+    let ended = 0;
+    const voice = backend.play(
+      { file: "/sounds/key.mp3" },
+      { gain: 0.5, pan: -0.2, rate: 1.1, onEnded: () => ended++ }
+    );
+    assert.ok(voice);
+    assert.deepStrictEqual(backend.plays, [
+      {
+        file: "/sounds/key.mp3",
+        synth: undefined,
+        gain: 0.5,
+        pan: -0.2,
+        rate: 1.1,
+      },
+    ]);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(ended, 1);
+
+    for (let i = 0; i < 150; i++) {
+      backend.play(
+        { file: `${i}` },
+        { gain: 1, pan: 0, rate: 1, onEnded() {} }
+      );
+    }
+    assert.strictEqual(backend.plays.length, 100);
+    assert.strictEqual(backend.plays[99].file, "149");
+  });
+
+  test("The external player only plays whole files", () => {
+    const player = fakePlayer();
+    const backend = new ExternalPlayerBackend(player);
+    const options = { gain: 1.5, pan: 0, rate: 1, onEnded() {} };
+
+    assert.strictEqual(backend.decodesSamples, false);
+    assert.ok(backend.play({ file: "/sounds/key.mp3" }, options));
+    assert.strictEqual(
+      backend.play({ synth: { wave: "sine" } }, options),
+      null
+    );
+    assert.strictEqual(
+      backend.play({ file: "/pack.ogg", offset: 0.5, duration: 0.1 }, options),
+      null
+    );
+    assert.deepStrictEqual(player.played, [
+      { file: "/sounds/key.mp3", gain: 1 },
+    ]);
+  });
+
+  // Fake child_process.spawn recording its calls
+  function fakeSpawn() {
+    const spawned = [];
+    const spawn = (command, args, options) => {
+      /** @type {any} */
+      const child = new EventEmitter();
+      Object.assign(child, { command, args, options, input: "" });
+      child.stdin = new EventEmitter();
+      child.stdin.write = (data) => (child.input += data);
+      child.stdout = new EventEmitter();
+      child.kill = () => child.emit("close");
+      spawned.push(child);
+      return child;
+    };
+    return { spawned, spawn };
+  }
+
+  test("Players get the file as an argument, without a shell", () => {
+    const { spawned, spawn } = fakeSpawn();
+    const player = commandPlayer("afplay", spawn);
+    let ended = 0;
+    const file = "/Users/O'Neil/$(touch x)/\"key\".wav";
+
+    const voice = player.play(file, 0.5, () => ended++);
+    assert.strictEqual(spawned[0].command, "afplay");
+    assert.deepStrictEqual(spawned[0].args, ["-v", "0.5", file]);
+    assert.strictEqual(spawned[0].options.shell, undefined);
+
+    voice.stop();
+    spawned[0].emit("close");
+    assert.strictEqual(ended, 1, "ends once");
+  });
+
+  test("The Windows player reuses one process", () => {
+    const { spawned, spawn } = fakeSpawn();
+    const player = windowsPlayer(spawn);
+    const ended = [];
+
+    player.play("C:\\Users\\O'Neil\\key.wav", 0.5, () => ended.push(1));
+    const voice = player.play("C:\\b.wav", 1, () => ended.push(2));
+    assert.strictEqual(spawned.length, 1);
+    assert.strictEqual(spawned[0].command, "powershell");
+    assert.ok(!spawned[0].args.some((arg) => arg.includes("key.wav")));
+    assert.strictEqual(
+      spawned[0].input,
+      "1\t0.5\tC:\\Users\\O'Neil\\key.wav\n2\t1\tC:\\b.wav\n"
+    );
+
+    spawned[0].stdout.emit("data", "1\r\n");
+    assert.deepStrictEqual(ended, [1]);
+    voice.stop();
+    assert.ok(spawned[0].input.endsWith("2\n"), "stops the sound");
+    assert.strictEqual(player.play("C:\\a\nb.wav", 1, () => {}), null);
+
+    player.dispose();
+    assert.deepStrictEqual(ended, [1]);
+  });
+
+  test("Finds players on the PATH", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hapticsound-path-"));
+    try {
+      fs.writeFileSync(path.join(dir, "aplay"), "", { mode: 0o755 });
+      fs.writeFileSync(path.join(dir, "mpg123"), "", { mode: 0o644 });
+      const env = { PATH: ["/nonexistent", dir].join(path.delimiter) };
+      assert.strictEqual(findOnPath(["mpg123", "aplay"], env), "aplay");
+      assert.strictEqual(findOnPath(["mplayer"], env), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const assert = require("assert");
+const path = require("path");
+const {
+  peakLevel,
+  toDecibels,
+  checkSoundFile,
+  describeSoundFile,
+} = require("../src/audioDiagnosis");
+
+suite("Audio Diagnosis Test Suite", () => {
+  const keyPath = path.join(__dirname, "..", "sounds", "key.wav");
+
+  const fakeBuffer = (...channels) => ({
+    numberOfChannels: channels.length,
+    sampleRate: 48000,
+    duration: channels[0].length / 48000,
+    getChannelData: (channel) => Float32Array.from(channels[channel]),
+  });
+
+  test("Finds the peak level over every channel", () => {
+    assert.strictEqual(peakLevel(fakeBuffer([0.1, -0.2], [0.5, -0.25])), 0.5);
+    assert.strictEqual(peakLevel(fakeBuffer([0, 0])), 0);
+    assert.strictEqual(toDecibels(1), 0);
+    assert.ok(Math.abs(toDecibels(0.5) + 6.02) < 0.01);
+  });
+
+  test("Checks that files exist and decode", async () => {
+    const decoded = await checkSoundFile(keyPath, async () =>
+      fakeBuffer([0.5, -0.5, 0])
+    );
+    assert.strictEqual(decoded.sampleRate, 48000);
+    assert.strictEqual(decoded.channels, 1);
+    assert.strictEqual(decoded.peak, 0.5);
+    assert.ok(decoded.bytes > 0);
+
+    const undecoded = await checkSoundFile(keyPath);
+    assert.strictEqual(undecoded.sampleRate, undefined);
+    assert.strictEqual(undecoded.error, undefined);
+
+    const missing = await checkSoundFile("/nowhere/key.wav");
+    assert.strictEqual(missing.error, "file not found");
+
+    const broken = await checkSoundFile(keyPath, async () => {
+      throw new Error("unsupported format");
+    });
+    assert.strictEqual(broken.error, "can't decode: unsupported format");
+  });
+
+  test("Describes the results", () => {
+    const result = {
+      file: "key.wav",
+      bytes: 100,
+      sampleRate: 44100,
+      duration: 0.25,
+      channels: 2,
+      peak: 0.5,
+    };
+    assert.strictEqual(
+      describeSoundFile(result),
+      "key.wav: 44100 Hz, 0.250 s, 2 ch, peak -6.0 dBFS"
+    );
+    assert.match(describeSoundFile({ ...result, peak: 1.2 }), /\(clips\)$/);
+    assert.match(describeSoundFile({ ...result, peak: 0 }), /, silent$/);
+    assert.strictEqual(
+      describeSoundFile({ file: "key.wav", bytes: 100 }),
+      "key.wav: 100 bytes (not decoded)"
+    );
+    assert.strictEqual(
+      describeSoundFile({ file: "a.wav", error: "file not found" }),
+      "a.wav: file not found"
+    );
+  });
+});
@@ -0,0 +1,78 @@
+const assert = require("assert");
+const { parseTime, inQuietHours, mutingRule } = require("../src/autoMute");
+
+suite("Auto Mute Test Suite", () => {
+  // 2026-10-19 is a Monday
+  const at = (day, time) => new Date(`2026-10-${day}T${time}:00`);
+
+  test("Parses HH:MM times", () => {
+    assert.strictEqual(parseTime("07:30"), 450);
+    assert.strictEqual(parseTime("0:05"), 5);
+    assert.strictEqual(parseTime("24:00"), undefined);
+    assert.strictEqual(parseTime("7h"), undefined);
+    assert.strictEqual(parseTime(undefined), undefined);
+  });
+
+  test("Quiet hours within a day", () => {
+    const lunch = { start: "12:00", end: "13:30" };
+    assert.ok(inQuietHours(lunch, at(19, "12:00")));
+    assert.ok(inQuietHours(lunch, at(19, "13:29")));
+    assert.ok(!inQuietHours(lunch, at(19, "13:30")), "end is excluded");
+    assert.ok(!inQuietHours(lunch, at(19, "11:59")));
+  });
+
+  test("Overnight quiet hours belong to the day they start on", () => {
+    const weeknights = {
+      start: "22:00",
+      end: "07:00",
+      days: ["mon", "tue", "wed", "thu", "fri"],
+    };
+    assert.ok(inQuietHours(weeknights, at(19, "23:00")), "Monday night");
+    assert.ok(inQuietHours(weeknights, at(20, "06:59")), "Tuesday morning");
+    assert.ok(!inQuietHours(weeknights, at(19, "06:00")), "Sunday night");
+    assert.ok(!inQuietHours(weeknights, at(19, "12:00")));
+    assert.ok(inQuietHours({ start: "22:00", end: "07:00" }, at(19, "06:00")));
+  });
+
+  test("Invalid quiet hours never apply", () => {
+    assert.ok(!inQuietHours(null, at(19, "12:00")));
+    assert.ok(!inQuietHours({ start: "12:00" }, at(19, "12:00")));
+    assert.ok(!inQuietHours({ start: "12:00", end: "12:00" }, at(19, "12:00")));
+  });
+
+  test("Reports the first rule that applies", () => {
+    const rules = {
+      unfocused: true,
+      screenReader: true,
+      quietHours: { start: "12:00", end: "13:00" },
+    };
+    const state = {
+      focused: true,
+      accessibilitySupport: "auto",
+      date: at(19, "09:00"),
+    };
+    assert.strictEqual(mutingRule(rules, state), null);
+    assert.strictEqual(
+      mutingRule(rules, { ...state, focused: false }).rule,
+      "unfocused"
+    );
+    assert.strictEqual(
+      mutingRule(rules, { ...state, accessibilitySupport: "on" }).rule,
+      "screenReader"
+    );
+    assert.deepStrictEqual(
+      mutingRule(rules, { ...state, date: at(19, "12:30") }),
+      { rule: "quietHours", reason: "quiet hours (12:00-13:00)" }
+    );
+  });
+
+  test("Disabled rules are ignored", () => {
+    const rules = { unfocused: false, screenReader: false, quietHours: null };
+    const state = {
+      focused: false,
+      accessibilitySupport: "on",
+      date: at(19, "12:30"),
+    };
+    assert.strictEqual(mutingRule(rules, state), null);
+  });
+});
@@ -0,0 +1,39 @@
+const assert = require("assert");
+const {
+  stoppedKind,
+  createDebugTrackerFactory,
+} = require("../src/debugSounds");
+
+suite("Debug Sounds Test Suite", () => {
+  test("Maps stopped reasons to sound kinds", () => {
+    assert.strictEqual(stoppedKind("breakpoint"), "breakpointHit");
+    assert.strictEqual(stoppedKind("function breakpoint"), "breakpointHit");
+    assert.strictEqual(stoppedKind("exception"), "exceptionStopped");
+    assert.strictEqual(stoppedKind("step"), "stepStopped");
+    assert.strictEqual(stoppedKind("pause"), null);
+    assert.strictEqual(stoppedKind(undefined), null);
+  });
+
+  test("Tracker reports stopped events only", () => {
+    const stops = [];
+    const session = { id: "1" };
+    const tracker = createDebugTrackerFactory((kind, s) =>
+      stops.push([kind, s])
+    ).createDebugAdapterTracker(session);
+
+    tracker.onDidSendMessage({ type: "event", event: "output", body: {} });
+    tracker.onDidSendMessage({ type: "response", command: "stackTrace" });
+    tracker.onDidSendMessage({
+      type: "event",
+      event: "stopped",
+      body: { reason: "exception" },
+    });
+    tracker.onDidSendMessage({
+      type: "event",
+      event: "stopped",
+      body: { reason: "pause" },
+    });
+
+    assert.deepStrictEqual(stops, [["exceptionStopped", session]]);
+  });
+});
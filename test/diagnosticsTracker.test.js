@@ -0,0 +1,75 @@
+const assert = require("assert");
+const {
+  DiagnosticsTracker,
+  countDiagnostics,
+  transitionKind,
+} = require("../src/diagnosticsTracker");
+
+suite("Diagnostics Tracker Test Suite", () => {
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const counts = (errors, warnings = 0) => ({ errors, warnings });
+
+  test("Counts errors and warnings", () => {
+    const diagnostics = [{ severity: 0 }, { severity: 1 }, { severity: 0 }, { severity: 3 }];
+    assert.deepStrictEqual(countDiagnostics(diagnostics), counts(2, 1));
+  });
+
+  test("Detects transitions", () => {
+    assert.strictEqual(transitionKind(counts(0), counts(1)), "errorIntroduced");
+    assert.strictEqual(transitionKind(counts(3), counts(0)), "errorsCleared");
+    assert.strictEqual(transitionKind(counts(0), counts(0, 2)), "warningIntroduced");
+    assert.strictEqual(transitionKind(counts(1), counts(2)), null);
+    assert.strictEqual(transitionKind(counts(0, 1), counts(0, 2)), null);
+  });
+
+  test("First counts of a document are silent", async () => {
+    const transitions = [];
+    const tracker = new DiagnosticsTracker(
+      (key, kind) => transitions.push([key, kind]),
+      { debounce: 10 }
+    );
+    tracker.update("a", counts(2));
+    await wait(30);
+    assert.deepStrictEqual(transitions, []);
+    tracker.dispose();
+  });
+
+  test("Debounces republished diagnostics", async () => {
+    const transitions = [];
+    const tracker = new DiagnosticsTracker(
+      (key, kind) => transitions.push([key, kind]),
+      { debounce: 20 }
+    );
+    tracker.update("a", counts(0));
+    tracker.update("a", counts(1));
+    tracker.update("a", counts(0));
+    tracker.update("a", counts(2));
+    await wait(50);
+    assert.deepStrictEqual(transitions, [["a", "errorIntroduced"]]);
+
+    // Flickering back to the same state makes no sound
+    tracker.update("a", counts(0));
+    tracker.update("a", counts(2));
+    await wait(50);
+    assert.strictEqual(transitions.length, 1);
+
+    tracker.update("a", counts(0));
+    await wait(50);
+    assert.deepStrictEqual(transitions[1], ["a", "errorsCleared"]);
+    tracker.dispose();
+  });
+
+  test("Forgotten documents don't fire", async () => {
+    const transitions = [];
+    const tracker = new DiagnosticsTracker(
+      (key, kind) => transitions.push([key, kind]),
+      { debounce: 10 }
+    );
+    tracker.update("a", counts(0));
+    tracker.update("a", counts(1));
+    tracker.forget("a");
+    await wait(30);
+    assert.deepStrictEqual(transitions, []);
+    tracker.dispose();
+  });
+});
@@ -0,0 +1,84 @@
+const assert = require("assert");
+const { isUserEdit, isBulkEdit } = require("../src/editFilter");
+
+suite("Edit Filter Test Suite", () => {
+  const fileDoc = { uri: { scheme: "file" } };
+  const otherDoc = { uri: { scheme: "file" } };
+  const outputDoc = { uri: { scheme: "output" } };
+
+  function change(text, line = 0, character = 4) {
+    return { text, rangeLength: 0, range: { start: { line, character } } };
+  }
+
+  test("Only allowed URI schemes make sound", () => {
+    const options = { scope: "any" };
+    assert.ok(isUserEdit({ document: fileDoc }, options));
+    assert.ok(!isUserEdit({ document: outputDoc }, options));
+    assert.ok(
+      isUserEdit({ document: outputDoc }, { ...options, schemes: ["output"] })
+    );
+  });
+
+  test("Active scope only accepts the focused editor", () => {
+    const options = {
+      scope: "active",
+      activeEditor: { document: fileDoc },
+      visibleEditors: [{ document: fileDoc }, { document: otherDoc }],
+    };
+    assert.ok(isUserEdit({ document: fileDoc }, options));
+    assert.ok(!isUserEdit({ document: otherDoc }, options));
+    assert.ok(
+      !isUserEdit({ document: fileDoc }, { scope: "active" }),
+      "no active editor means no typing"
+    );
+  });
+
+  test("Visible scope accepts any visible editor", () => {
+    const options = {
+      scope: "visible",
+      activeEditor: { document: fileDoc },
+      visibleEditors: [{ document: fileDoc }, { document: otherDoc }],
+    };
+    assert.ok(isUserEdit({ document: otherDoc }, options));
+    assert.ok(!isUserEdit({ document: { uri: { scheme: "file" } } }, options));
+  });
+
+  test("Detects machine edits", () => {
+    assert.ok(!isBulkEdit({ contentChanges: [change("a")] }));
+    assert.ok(
+      !isBulkEdit({ contentChanges: [change("a", 0), change("a", 1)] }),
+      "multi-cursor typing is not a bulk edit"
+    );
+    assert.ok(
+      !isBulkEdit({
+        contentChanges: [change("  ", 0, 0), change("", 1, 0)],
+      }),
+      "indenting lines is not a bulk edit"
+    );
+    assert.ok(
+      isBulkEdit({
+        contentChanges: [change("const", 0), change(";", 3), change("", 7)],
+      })
+    );
+  });
+
+  test("Detects a formatter replacing the whole document", () => {
+    const replace = (text, endLine) => ({
+      text,
+      rangeLength: 40,
+      range: {
+        start: { line: 0, character: 0 },
+        end: { line: endLine, character: 0 },
+      },
+    });
+    assert.ok(isBulkEdit({ contentChanges: [replace("a;\nb;\n", 12)] }));
+    assert.ok(
+      !isBulkEdit({ contentChanges: [replace("", 12)] }),
+      "deleting lines is not a bulk edit"
+    );
+    assert.ok(
+      !isBulkEdit({ contentChanges: [replace("a\nb", 0)] }),
+      "pasting lines is not a bulk edit"
+    );
+  });
+});
@@ -0,0 +1,126 @@
+const assert = require("assert");
+const {
+  SOUND_KINDS,
+  baseKind,
+  rateLimitKind,
+  fallbackChain,
+  classifyChange,
+  classifyEvent,
+} = require("../src/editKinds");
+
+suite("Edit Kinds Test Suite", () => {
+  function change(text, rangeLength = 0, line = 0, character = 4) {
+    const start = { line, character };
+    const end = { line, character: character + rangeLength };
+    return { text, rangeLength, range: { start, end } };
+  }
+
+  test("Every optional kind falls back to a base kind", () => {
+    for (const kind of SOUND_KINDS) {
+      assert.ok(
+        ["key", "backspace", "save"].includes(baseKind(kind)),
+        `${kind} should have a base kind`
+      );
+    }
+    assert.strictEqual(baseKind("newline"), "key");
+    assert.strictEqual(baseKind("wordDelete"), "backspace");
+  });
+
+  test("Event sounds are rate limited on their own", () => {
+    assert.strictEqual(rateLimitKind("wordDelete"), "backspace");
+    assert.strictEqual(rateLimitKind("save"), "save");
+    assert.strictEqual(rateLimitKind("debugStarted"), "debugStarted");
+    assert.strictEqual(rateLimitKind("stepStopped"), "stepStopped");
+  });
+
+  test("Fallback chains go through parent kinds", () => {
+    assert.deepStrictEqual(fallbackChain("key"), ["key"]);
+    assert.deepStrictEqual(fallbackChain("exceptionStopped"), [
+      "exceptionStopped",
+      "errorIntroduced",
+      "backspace",
+    ]);
+    assert.strictEqual(baseKind("taskFailed"), "backspace");
+    assert.deepStrictEqual(fallbackChain("note"), ["note", "key"]);
+  });
+
+  test("Classifies inserted text", () => {
+    assert.strictEqual(classifyChange(change("a")), "char");
+    assert.strictEqual(classifyChange(change("é")), "char");
+    assert.strictEqual(classifyChange(change(";")), "punctuation");
+    assert.strictEqual(classifyChange(change("()")), "punctuation");
+    assert.strictEqual(classifyChange(change(" ")), "space");
+    assert.strictEqual(classifyChange(change("\t")), "tab");
+    assert.strictEqual(classifyChange(change("    ")), "tab");
+    assert.strictEqual(classifyChange(change("    ", 0, 2, 0)), "indent");
+    assert.strictEqual(classifyChange(change("\n")), "newline");
+    assert.strictEqual(classifyChange(change("\r\n    ")), "newline");
+    assert.strictEqual(classifyChange(change("foo\nbar")), "paste");
+    assert.strictEqual(classifyChange(change("console")), "paste");
+  });
+
+  test("Classifies deletions", () => {
+    assert.strictEqual(classifyChange(change("", 1)), "backspace");
+    assert.strictEqual(classifyChange(change("", 5)), "wordDelete");
+    assert.strictEqual(
+      classifyChange(change("", 1), { line: 0, character: 4 }),
+      "delete",
+      "caret at the start of the removed range is a forward delete"
+    );
+    assert.strictEqual(
+      classifyChange(change("", 1), { line: 0, character: 5 }),
+      "backspace"
+    );
+  });
+
+  test("Line endings and indentation are not word deletes", () => {
+    const crlf = {
+      text: "",
+      rangeLength: 2,
+      range: {
+        start: { line: 0, character: 7 },
+        end: { line: 1, character: 0 },
+      },
+    };
+    assert.strictEqual(classifyChange(crlf), "backspace");
+    assert.strictEqual(
+      classifyChange(change("", 4, 0, 4), undefined, "        foo"),
+      "backspace",
+      "indentation removed up to a tab stop"
+    );
+    assert.strictEqual(
+      classifyChange(change("", 3, 0, 4), undefined, "    foo"),
+      "wordDelete"
+    );
+    assert.strictEqual(
+      classifyEvent(
+        { contentChanges: [change("", 4, 0, 2)] },
+        undefined,
+        "\t\t    x"
+      ),
+      "backspace"
+    );
+  });
+
+  test("Classifies whole events", () => {
+    assert.strictEqual(classifyEvent({ contentChanges: [] }), null);
+    assert.strictEqual(
+      classifyEvent({ contentChanges: [change("x", 0, 0), change("x", 0, 1)] }),
+      "char",
+      "multi-cursor typing uses the first change"
+    );
+    assert.strictEqual(
+      classifyEvent({
+        contentChanges: [change("  ", 0, 0, 0), change("  ", 0, 1, 0)],
+      }),
+      "indent"
+    );
+    assert.strictEqual(
+      classifyEvent({
+        contentChanges: [change("", 2, 0, 0), change("", 2, 1, 0)],
+      }),
+      "indent",
+      "outdenting several lines is an indent too"
+    );
+  });
+});
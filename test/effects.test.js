@@ -0,0 +1,132 @@
+const assert = require("assert");
+const {
+  REVERB_PRESETS,
+  normalizeEffects,
+  createImpulse,
+  buildEffectsChain,
+} = require("../src/effects");
+
+suite("Effects Test Suite", () => {
+  // Minimal AudioContext recording the graph it builds
+  function fakeContext() {
+    const connections = [];
+    let count = 0;
+    const node = (kind, extra) => {
+      const label = `${kind}${count++}`;
+      return {
+        label,
+        disconnected: false,
+        connect(target) {
+          connections.push([label, target.label]);
+          return target;
+        },
+        disconnect() {
+          this.disconnected = true;
+        },
+        ...extra,
+      };
+    };
+    return {
+      connections,
+      sampleRate: 100,
+      createGain: () => node("gain", { gain: { value: 1 } }),
+      createBiquadFilter: () =>
+        node("filter", {
+          frequency: { value: 0 },
+          Q: { value: 0 },
+          gain: { value: 0 },
+        }),
+      createConvolver: () => node("convolver", { buffer: null }),
+      createBuffer: (channels, length) => {
+        const data = Array.from({ length: channels }, () =>
+          new Float32Array(length)
+        );
+        return { length, getChannelData: (channel) => data[channel] };
+      },
+    };
+  }
+  const output = { label: "output" };
+
+  test("Normalizes and clamps settings", () => {
+    assert.deepStrictEqual(normalizeEffects({}), {
+      lowpass: 0,
+      highpass: 0,
+      eq: { low: 0, mid: 0, high: 0 },
+      reverb: undefined,
+      reverbMix: 0.25,
+    });
+    const effects = normalizeEffects({
+      lowpass: 50000,
+      eqLow: -40,
+      eqHigh: /** @type {any} */ ("3"),
+      reverb: " hall ",
+      reverbMix: 50,
+    });
+    assert.strictEqual(effects.lowpass, 20000);
+    assert.strictEqual(effects.eq.low, -24);
+    assert.strictEqual(effects.eq.high, 3);
+    assert.strictEqual(effects.reverb, "hall");
+    assert.strictEqual(effects.reverbMix, 0.5);
+  });
+
+  test("Without effects, voices go straight to the output", () => {
+    const chain = buildEffectsChain(fakeContext(), normalizeEffects(), output);
+    assert.strictEqual(chain.input, output);
+    chain.dispose();
+  });
+
+  test("Chains filters and EQ bands that are on", () => {
+    const ctx = fakeContext();
+    const chain = buildEffectsChain(
+      ctx,
+      normalizeEffects({ lowpass: 4000, highpass: 80, eqMid: -3 }),
+      output
+    );
+    assert.deepStrictEqual(ctx.connections, [
+      ["gain3", "filter0"],
+      ["filter0", "filter1"],
+      ["filter1", "filter2"],
+      ["filter2", "output"],
+    ]);
+    chain.dispose();
+    assert.ok(chain.input.disconnected);
+  });
+
+  test("Reverb mixes dry and wet signals", () => {
+    const ctx = fakeContext();
+    const impulse = createImpulse(ctx, REVERB_PRESETS.room);
+    const chain = buildEffectsChain(
+      ctx,
+      normalizeEffects({ reverb: "room", reverbMix: 50 }),
+      output,
+      impulse
+    );
+    assert.deepStrictEqual(ctx.connections, [
+      ["gain0", "gain1"],
+      ["gain1", "output"],
+      ["gain0", "convolver3"],
+      ["convolver3", "gain2"],
+      ["gain2", "output"],
+    ]);
+    chain.dispose();
+  });
+
+  test("Reverb is off without an impulse response", () => {
+    const chain = buildEffectsChain(
+      fakeContext(),
+      normalizeEffects({ reverb: "missing.wav" }),
+      output,
+      null
+    );
+    assert.strictEqual(chain.input, output);
+  });
+
+  test("Built-in impulse responses fade out", () => {
+    const impulse = createImpulse(fakeContext(), REVERB_PRESETS.hall);
+    assert.strictEqual(impulse.length, 240);
+    const data = impulse.getChannelData(1);
+    const energy = (from, to) =>
+      data.slice(from, to).reduce((sum, value) => sum + Math.abs(value), 0);
+    assert.ok(energy(0, 40) > energy(200, 240));
+  });
+});
@@ -126,6 +126,32 @@ suite("Extension Test Suite", () => {
     assert.strictEqual(absResolved, abs);
   });
 
+  test("resolveSound falls back to key/backspace for optional kinds", async () => {
+    const { resolveSound, getThemesMap } = require("../extension");
+    const themes = getThemesMap();
+
+    // Theme defines its own newline sound
+    assert.strictEqual(
+      resolveSound("newline", "typewriter"),
+      themes.typewriter.newline
+    );
+
+    // Missing kinds use the theme's base sounds
+    assert.strictEqual(resolveSound("newline", "gun"), themes.gun.key);
+    assert.strictEqual(resolveSound("paste", "gun"), themes.gun.key);
+    assert.strictEqual(resolveSound("wordDelete", "gun"), themes.gun.backspace);
+  });
+
+  test("resolveSound returns synth recipes for synthesized sounds", async () => {
+    const { resolveSound } = require("../extension");
+
+    const themed = resolveSound("key", "thock");
+    assert.ok(themed.synth, "thock theme should be synthesized");
+
+    const inline = resolveSound("key", { synth: { preset: "blip" } });
+    assert.strictEqual(inline.synth.waveform, "square");
+  });
+
   test("Pitch randomization is within expected bounds (smoke)", async () => {
     // We will stub a minimal environment to intercept playbackRate
     const Module = require("module");
@@ -142,13 +168,29 @@ suite("Extension Test Suite", () => {
           }
           connect() {}
           start() {}
+          stop() {}
         }
         class FakeAudioContext {
           constructor() {
             this.destination = {};
           }
           createGain() {
-            return { connect() {}, gain: { value: 1 } };
+            return {
+              connect() {},
+              disconnect() {},
+              gain: { value: 1, setTargetAtTime() {} },
+            };
+          }
+          createDynamicsCompressor() {
+            const param = () => ({ value: 0 });
+            return {
+              connect() {},
+              threshold: param(),
+              knee: param(),
+              ratio: param(),
+              attack: param(),
+              release: param(),
+            };
           }
           createBufferSource() {
             const s = new FakeBufferSource();
@@ -233,6 +275,35 @@ suite("Extension Test Suite", () => {
     }
   });
 
+  test("Haptic Sound commands should be registered", async () => {
+    const commands = await vscode.commands.getCommands(true);
+    for (const command of [
+      "hapticsound.toggleMute",
+      "hapticsound.selectTheme",
+      "hapticsound.importSoundPack",
+      "hapticsound.showMenu",
+      "hapticsound.explainMute",
+      "hapticsound.showStats",
+      "hapticsound.exportStats",
+      "hapticsound.diagnoseAudio",
+    ]) {
+      assert.ok(commands.includes(command), `${command} should be registered`);
+    }
+  });
+
+  test("Extension should expose its API", async () => {
+    const extension = vscode.extensions.getExtension(
+      "pantharius.haptic-sound-vscext"
+    );
+    assert.ok(extension, "Extension should be installed");
+    const api = await extension.activate();
+    assert.strictEqual(api.version, 1);
+    assert.strictEqual(typeof api.forExtension, "function");
+    const client = api.forExtension("pantharius.haptic-sound-vscext");
+    assert.strictEqual(typeof client.onDidPlaySound, "function");
+    assert.strictEqual(typeof client.onDidChangeState, "function");
+  });
+
   test("Configuration update should work", async () => {
     const config = vscode.workspace.getConfiguration("hapticsound");
 
@@ -0,0 +1,121 @@
+const assert = require("assert");
+const {
+  API_VERSION,
+  matchesExtension,
+  isExtensionAllowed,
+  createApi,
+} = require("../src/extensionApi");
+
+suite("Extension API Test Suite", () => {
+  test("Matches extension ids, publishers and everything", () => {
+    assert.ok(matchesExtension("acme.runner", "Acme.Runner"));
+    assert.ok(matchesExtension("acme.*", "acme.runner"));
+    assert.ok(matchesExtension("*", "acme.runner"));
+    assert.ok(!matchesExtension("acme.*", "acmecorp.runner"));
+    assert.ok(!matchesExtension("acme.runner", "acme.runner2"));
+  });
+
+  test("The block list wins over the allow list", () => {
+    assert.ok(isExtensionAllowed("acme.runner", {}));
+    assert.ok(!isExtensionAllowed("acme.runner", { block: ["acme.*"] }));
+    assert.ok(
+      !isExtensionAllowed("acme.runner", {
+        allow: ["acme.runner"],
+        block: ["acme.runner"],
+      })
+    );
+    assert.ok(isExtensionAllowed("acme.runner", { allow: ["acme.*"] }));
+    assert.ok(!isExtensionAllowed("other.tool", { allow: ["acme.*"] }));
+    assert.ok(!isExtensionAllowed("", {}));
+    assert.ok(!isExtensionAllowed(undefined, {}));
+  });
+
+  function fakeHost() {
+    const calls = [];
+    const blocked = new Set();
+    const listeners = [];
+    return {
+      calls,
+      blocked,
+      isInstalled: (extensionId) => extensionId !== "unknown.tool",
+      isAllowed: (extensionId) => !blocked.has(extensionId),
+      play: async (...args) => {
+        calls.push(["play", ...args]);
+        return true;
+      },
+      registerSound: (...args) => {
+        calls.push(["registerSound", ...args]);
+        return { dispose() {} };
+      },
+      registerTheme: (...args) => {
+        calls.push(["registerTheme", ...args]);
+        return { dispose() {} };
+      },
+      listeners,
+      onDidPlaySound: (listener) => {
+        listeners.push(listener);
+        return { dispose() {} };
+      },
+      onDidChangeState: () => ({ dispose() {} }),
+    };
+  }
+
+  test("Clients pass their extension id to the host", async () => {
+    const host = fakeHost();
+    const api = createApi(host);
+    assert.strictEqual(api.version, API_VERSION);
+
+    const client = api.forExtension("acme.runner");
+    assert.strictEqual(await client.play("save", { volume: 0.5 }), true);
+    client.registerSound("done", "done.wav", { baseDir: "/acme" });
+    client.registerTheme("Acme", { key: "key.wav" });
+    assert.deepStrictEqual(host.calls, [
+      ["play", "acme.runner", "save", { volume: 0.5 }],
+      ["registerSound", "acme.runner", "done", "done.wav", "/acme"],
+      ["registerTheme", "acme.runner", "Acme", { key: "key.wav" }, undefined],
+    ]);
+  });
+
+  test("Blocked extensions and invalid names are rejected", async () => {
+    const host = fakeHost();
+    const client = createApi(host).forExtension("acme.runner");
+
+    await assert.rejects(client.play(""), /Invalid sound name/);
+    await assert.rejects(
+      client.play("save", { volume: /** @type {any} */ ("loud") }),
+      /Invalid volume/
+    );
+    await assert.rejects(client.play("save", { pan: NaN }), /Invalid pan/);
+    assert.throws(() => client.registerTheme("acme", null), /Invalid theme/);
+
+    host.blocked.add("acme.runner");
+    await assert.rejects(client.play("save"), /not allowed/);
+    assert.throws(
+      () => client.registerSound("done", "done.wav"),
+      /not allowed/
+    );
+    assert.deepStrictEqual(host.calls, []);
+  });
+
+  test("Events reach allowed extensions only", () => {
+    const host = fakeHost();
+    const client = createApi(host).forExtension("acme.runner");
+    const events = [];
+    client.onDidPlaySound((event) => events.push(event));
+
+    host.listeners[0]({ kind: "save" });
+    host.blocked.add("acme.runner");
+    host.listeners[0]({ kind: "key" });
+    assert.deepStrictEqual(events, [{ kind: "save" }]);
+    assert.throws(() => client.onDidChangeState(() => {}), /not allowed/);
+  });
+
+  test("Only installed extensions get a client", () => {
+    const api = createApi(fakeHost());
+    assert.throws(
+      () => api.forExtension("unknown.tool"),
+      /Unknown extension "unknown.tool"/
+    );
+    assert.throws(() => api.forExtension(undefined), /Unknown extension/);
+  });
+});
@@ -0,0 +1,48 @@
+const assert = require("assert");
+const { Logger } = require("../src/logger");
+
+suite("Logger Test Suite", () => {
+  function fakeChannel() {
+    const lines = [];
+    /** @type {any} */
+    const channel = { lines, shown: false };
+    for (const level of ["trace", "debug", "info", "warn", "error"]) {
+      channel[level] = (message) => lines.push([level, message]);
+    }
+    channel.show = () => {
+      channel.shown = true;
+    };
+    return channel;
+  }
+
+  test("Logs at each level to its target", () => {
+    const channel = fakeChannel();
+    const log = new Logger(channel);
+    log.debug("reloading");
+    log.info("ready");
+    log.error("broken");
+    log.show();
+    assert.deepStrictEqual(channel.lines, [
+      ["debug", "reloading"],
+      ["info", "ready"],
+      ["error", "broken"],
+    ]);
+    assert.ok(channel.shown);
+  });
+
+  test("Logs repeated messages once until reset", () => {
+    const channel = fakeChannel();
+    const log = new Logger();
+    log.setTarget(channel);
+    log.once("warn", "Sound file not found: a.wav");
+    log.once("warn", "Sound file not found: a.wav");
+    log.once("warn", "Sound file not found: b.wav");
+    log.reset();
+    log.once("warn", "Sound file not found: a.wav");
+    assert.deepStrictEqual(channel.lines, [
+      ["warn", "Sound file not found: a.wav"],
+      ["warn", "Sound file not found: b.wav"],
+      ["warn", "Sound file not found: a.wav"],
+    ]);
+  });
+});
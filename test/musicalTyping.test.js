@@ -0,0 +1,75 @@
+const assert = require("assert");
+const {
+  SCALES,
+  parseNote,
+  noteRate,
+  MusicalTyping,
+} = require("../src/musicalTyping");
+
+suite("Musical Typing Test Suite", () => {
+  const walk = (musical, steps) =>
+    Array.from({ length: steps }, () => musical.next());
+
+  test("Parses note names", () => {
+    assert.strictEqual(parseNote("C"), 0);
+    assert.strictEqual(parseNote("F#"), 6);
+    assert.strictEqual(parseNote("bb"), 10);
+    assert.strictEqual(parseNote("C4"), 0);
+    assert.strictEqual(parseNote("E5"), 16);
+    assert.strictEqual(parseNote("A3"), -3);
+    assert.strictEqual(parseNote("H2"), undefined);
+  });
+
+  test("Semitones become playback rates", () => {
+    assert.strictEqual(noteRate(0), 1);
+    assert.strictEqual(noteRate(12), 2);
+    assert.strictEqual(noteRate(-12), 0.5);
+  });
+
+  test("Scales walk up the octaves and back down", () => {
+    const musical = new MusicalTyping({ scale: "majorArpeggio", octaves: 2 });
+    assert.deepStrictEqual(
+      walk(musical, 10),
+      [0, 4, 7, 12, 16, 19, 24, 19, 16, 12]
+    );
+  });
+
+  test("Keys transpose the scale close to the sample's pitch", () => {
+    const d = new MusicalTyping({ key: "D", scale: "minorArpeggio" });
+    assert.deepStrictEqual(walk(d, 4), [2, 5, 9, 14]);
+    const a = new MusicalTyping({ key: "A", scale: "majorArpeggio" });
+    assert.deepStrictEqual(walk(a, 4), [-3, 1, 4, 9]);
+  });
+
+  test("Backspace steps the melody back", () => {
+    const musical = new MusicalTyping({ scale: "major" });
+    walk(musical, 3);
+    assert.strictEqual(musical.back(), SCALES.major[1]);
+    assert.strictEqual(musical.back(), 0);
+    assert.strictEqual(musical.back(), 0, "stays on the first note");
+    assert.strictEqual(musical.next(), SCALES.major[1]);
+  });
+
+  test("Melodies loop and take precedence over the scale", () => {
+    const musical = new MusicalTyping({
+      scale: "blues",
+      melody: ["E4", "D4", 0, "nope", "D4"],
+    });
+    assert.deepStrictEqual(walk(musical, 6), [4, 2, 0, 2, 4, 2]);
+  });
+
+  test("Chords resolve to the tonic of the key", () => {
+    assert.deepStrictEqual(new MusicalTyping().chord(), [0, 4, 7, 12]);
+    assert.deepStrictEqual(
+      new MusicalTyping({ key: "E", scale: "minor" }).chord(),
+      [4, 7, 11, 16]
+    );
+  });
+
+  test("Reset starts over", () => {
+    const musical = new MusicalTyping({ scale: "pentatonic" });
+    walk(musical, 4);
+    musical.reset();
+    assert.strictEqual(musical.next(), 0);
+  });
+});
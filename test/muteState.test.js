@@ -0,0 +1,81 @@
+const assert = require("assert");
+const { MuteState } = require("../src/muteState");
+
+suite("Mute State Test Suite", () => {
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const memento = (values = {}) => ({
+    values,
+    get: (key) => values[key],
+    update: async (key, value) => {
+      values[key] = value;
+    },
+  });
+
+  test("Mutes until unmuted", () => {
+    let changes = 0;
+    const state = new MuteState(memento(), () => changes++);
+    assert.strictEqual(state.muted, false);
+    state.mute();
+    assert.strictEqual(state.muted, true);
+    assert.strictEqual(state.snoozedUntil, undefined);
+    state.unmute();
+    assert.strictEqual(state.muted, false);
+    assert.strictEqual(changes, 2);
+    state.dispose();
+  });
+
+  test("Session mute is not persisted", () => {
+    const storage = memento();
+    const state = new MuteState(storage);
+    state.mute();
+    state.dispose();
+    assert.strictEqual(new MuteState(storage).muted, false);
+  });
+
+  test("Snooze lifts by itself", async () => {
+    let changes = 0;
+    const storage = memento();
+    const state = new MuteState(storage, () => changes++);
+    state.snooze(20);
+    assert.strictEqual(state.muted, true);
+    assert.ok(state.snoozedUntil > Date.now());
+    assert.ok(storage.values["hapticsound.snoozeUntil"] > Date.now());
+
+    await wait(50);
+    assert.strictEqual(state.muted, false);
+    assert.strictEqual(state.snoozedUntil, undefined);
+    assert.strictEqual(storage.values["hapticsound.snoozeUntil"], undefined);
+    assert.strictEqual(changes, 2, "snooze start and end");
+    state.dispose();
+  });
+
+  test("Restores a running snooze and ignores an expired one", () => {
+    const now = 1_000_000;
+    const running = new MuteState(
+      memento({ "hapticsound.snoozeUntil": now + 60_000 }),
+      undefined,
+      () => now
+    );
+    assert.strictEqual(running.muted, true);
+    assert.strictEqual(running.snoozedUntil, now + 60_000);
+    running.dispose();
+
+    const expired = new MuteState(
+      memento({ "hapticsound.snoozeUntil": now - 1 }),
+      undefined,
+      () => now
+    );
+    assert.strictEqual(expired.muted, false);
+    expired.dispose();
+  });
+
+  test("Unmute also ends a snooze", () => {
+    const state = new MuteState(memento());
+    state.snooze(60_000);
+    state.mute();
+    state.unmute();
+    assert.strictEqual(state.muted, false);
+    assert.strictEqual(state.snoozedUntil, undefined);
+    state.dispose();
+  });
+});
@@ -0,0 +1,68 @@
+const assert = require("assert");
+const {
+  editorColumns,
+  panForColumn,
+  panForChanges,
+} = require("../src/panning");
+
+suite("Panning Test Suite", () => {
+  const change = (character) => ({ range: { start: { line: 0, character } } });
+
+  test("Pans from left to right across the editor width", () => {
+    assert.strictEqual(panForColumn(0, 80, 1), -1);
+    assert.strictEqual(panForColumn(40, 80, 1), 0);
+    assert.strictEqual(panForColumn(80, 80, 1), 1);
+    assert.strictEqual(panForColumn(200, 80, 1), 1, "clamped past the edge");
+  });
+
+  test("Pan width scales the stereo field", () => {
+    assert.strictEqual(panForColumn(0, 80, 0.5), -0.5);
+    assert.strictEqual(panForColumn(80, 80, 0.5), 0.5);
+    assert.strictEqual(panForColumn(0, 80, 0), 0, "0 is mono");
+    assert.strictEqual(panForColumn(0, 80, 2), -1);
+  });
+
+  test("Falls back to 80 columns", () => {
+    assert.strictEqual(panForColumn(40, 0, 1), 0);
+    assert.strictEqual(panForColumn(40, undefined, 1), 0);
+  });
+
+  test("Multi-cursor edits spread across their cursors", () => {
+    assert.deepStrictEqual(panForChanges([change(20)], 80, 1), [-0.5]);
+    assert.deepStrictEqual(
+      panForChanges([change(80), change(0), change(0)], 80, 1),
+      [-1, 1]
+    );
+    assert.deepStrictEqual(
+      panForChanges([0, 10, 40, 60, 80].map(change), 80, 1),
+      [-1, 0, 1],
+      "outer and middle cursors"
+    );
+    assert.deepStrictEqual(panForChanges([], 80, 1), [0]);
+  });
+
+  test("Guesses the editor width", () => {
+    assert.strictEqual(
+      editorColumns({
+        wordWrap: "bounded",
+        wordWrapColumn: 100,
+        rulers: [120],
+      }),
+      100
+    );
+    assert.strictEqual(
+      editorColumns({
+        wordWrap: "off",
+        wordWrapColumn: 100,
+        rulers: [80, 120],
+      }),
+      120
+    );
+    assert.strictEqual(
+      editorColumns({ rulers: [{ column: 100, color: "#fff" }] }),
+      100
+    );
+    assert.strictEqual(editorColumns({ lineLengths: [20, 140, 60] }), 140);
+    assert.strictEqual(editorColumns({ lineLengths: [20] }), 80);
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require("assert");
+const {
+  profileSelector,
+  findProfile,
+  applyProfile,
+} = require("../src/profiles");
+
+suite("Profiles Test Suite", () => {
+  // Minimal stand-in for vscode.languages.match: language ids and a
+  // "**/<folder>/**" pattern
+  const match = (selector, document) =>
+    selector.some(
+      (filter) =>
+        (!filter.language || filter.language === document.languageId) &&
+        (!filter.pattern ||
+          document.fileName.includes(filter.pattern.slice(2, -2)))
+    )
+      ? 10
+      : 0;
+
+  const markdown = { languageId: "markdown", fileName: "/repo/README.md" };
+  const docs = { languageId: "markdown", fileName: "/repo/docs/guide.md" };
+  const script = { languageId: "javascript", fileName: "/repo/docs/build.js" };
+
+  test("Builds selectors from language and pattern", () => {
+    assert.deepStrictEqual(profileSelector({ language: "markdown" }), [
+      { language: "markdown", pattern: undefined },
+    ]);
+    assert.deepStrictEqual(
+      profileSelector({ language: ["go", "rust"], pattern: "**/src/**" }),
+      [
+        { language: "go", pattern: "**/src/**" },
+        { language: "rust", pattern: "**/src/**" },
+      ]
+    );
+    assert.deepStrictEqual(profileSelector({ pattern: "**/*.md" }), [
+      { pattern: "**/*.md" },
+    ]);
+    assert.strictEqual(profileSelector({ theme: "bird" }), null);
+    assert.strictEqual(profileSelector(null), null);
+  });
+
+  test("The first matching profile wins", () => {
+    const profiles = [
+      { language: "markdown", pattern: "**/docs/**", theme: "bird" },
+      { language: "markdown", theme: "click" },
+      { pattern: "**/docs/**", volume: 10 },
+    ];
+    assert.strictEqual(findProfile(profiles, docs, match), 0);
+    assert.strictEqual(findProfile(profiles, markdown, match), 1);
+    assert.strictEqual(findProfile(profiles, script, match), 2);
+  });
+
+  test("Profiles without a selector never match", () => {
+    assert.strictEqual(findProfile([{ theme: "bird" }], markdown, match), -1);
+    assert.strictEqual(findProfile([], markdown, match), -1);
+    assert.strictEqual(findProfile(undefined, markdown, match), -1);
+    assert.strictEqual(findProfile([{ language: "markdown" }], null, match), -1);
+  });
+
+  test("Applies only the overrides a profile sets", () => {
+    const settings = { theme: "typewriter", volume: 50, enabled: true };
+    assert.strictEqual(applyProfile(settings, undefined), settings);
+    assert.deepStrictEqual(applyProfile(settings, { volume: 0 }), {
+      theme: "typewriter",
+      volume: 0,
+      enabled: true,
+    });
+    assert.deepStrictEqual(
+      applyProfile(settings, { theme: "bird", enabled: false }),
+      { theme: "bird", volume: 50, enabled: false }
+    );
+  });
+});
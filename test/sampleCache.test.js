@@ -0,0 +1,138 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { SampleCache, estimateBytes } = require("../src/sampleCache");
+
+suite("Sample Cache Test Suite", () => {
+  const soundsPath = path.join(__dirname, "..", "sounds");
+  const keyPath = path.join(soundsPath, "key.wav");
+  const savePath = path.join(soundsPath, "carriage-return.wav");
+
+  // Fake decoder: one channel, one sample per input byte
+  let decodeCalls;
+  function fakeDecode(data) {
+    decodeCalls++;
+    return Promise.resolve({ numberOfChannels: 1, length: data.byteLength });
+  }
+
+  setup(() => {
+    decodeCalls = 0;
+  });
+
+  test("Decodes each file only once", async () => {
+    const cache = new SampleCache(fakeDecode, { watch: false });
+    const first = await cache.get(keyPath);
+    const second = await cache.get(keyPath);
+    assert.ok(first, "buffer should be decoded");
+    assert.strictEqual(first, second);
+    assert.strictEqual(cache.peek(keyPath), first);
+    assert.strictEqual(decodeCalls, 1);
+    cache.dispose();
+  });
+
+  test("Missing files resolve to null until the cache is cleared", async () => {
+    let reads = 0;
+    const cache = new SampleCache(fakeDecode, {
+      watch: false,
+      onError: () => reads++,
+    });
+    const missing = path.join(soundsPath, "does-not-exist.wav");
+    assert.strictEqual(await cache.get(missing), null);
+    assert.strictEqual(await cache.get(missing), null);
+    assert.strictEqual(cache.peek(missing), undefined);
+    assert.strictEqual(reads, 1, "not read again");
+
+    cache.clear();
+    await cache.get(missing);
+    assert.strictEqual(reads, 2);
+    cache.dispose();
+  });
+
+  test("A missing file is loaded once it appears", async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "hapticsound-"));
+    const tmpFile = path.join(tmpDir, "click.wav");
+    const cache = new SampleCache(fakeDecode, { onError() {} });
+    try {
+      assert.strictEqual(await cache.get(tmpFile), null);
+
+      fs.copyFileSync(keyPath, tmpFile);
+      for (let i = 0; i < 20 && cache.entries.has(tmpFile); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      assert.ok(await cache.get(tmpFile));
+    } finally {
+      cache.dispose();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test("Reports missing and undecodable files", async () => {
+    const errors = [];
+    const cache = new SampleCache(
+      () => Promise.reject(new Error("unsupported format")),
+      {
+        watch: false,
+        onError: (filePath, error) =>
+          errors.push([path.basename(filePath), error.code || error.message]),
+      }
+    );
+    await cache.get(path.join(soundsPath, "does-not-exist.wav"));
+    await cache.get(keyPath);
+    assert.deepStrictEqual(errors, [
+      ["does-not-exist.wav", "ENOENT"],
+      ["key.wav", "unsupported format"],
+    ]);
+    cache.dispose();
+  });
+
+  test("Preload decodes every distinct file", async () => {
+    const cache = new SampleCache(fakeDecode, { watch: false });
+    await cache.preload([keyPath, keyPath, savePath, undefined]);
+    assert.strictEqual(decodeCalls, 2);
+    assert.ok(cache.peek(keyPath));
+    assert.ok(cache.peek(savePath));
+    cache.dispose();
+  });
+
+  test("Evicts least recently used entries over budget", async () => {
+    const keyBytes = fs.statSync(keyPath).size * 4;
+    const cache = new SampleCache(fakeDecode, {
+      watch: false,
+      maxBytes: keyBytes,
+    });
+    await cache.get(keyPath);
+    await cache.get(savePath);
+    assert.strictEqual(cache.peek(keyPath), undefined, "key should be evicted");
+    assert.ok(cache.peek(savePath), "latest entry is kept");
+    assert.strictEqual(
+      cache.totalBytes,
+      estimateBytes(cache.peek(savePath))
+    );
+    cache.dispose();
+  });
+
+  test("Invalidates entries when the file changes", async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "hapticsound-"));
+    const tmpFile = path.join(tmpDir, "click.wav");
+    fs.copyFileSync(keyPath, tmpFile);
+
+    const cache = new SampleCache(fakeDecode);
+    try {
+      await cache.get(tmpFile);
+      assert.ok(cache.peek(tmpFile));
+
+      fs.appendFileSync(tmpFile, Buffer.alloc(16));
+      for (let i = 0; i < 20 && cache.peek(tmpFile); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      assert.strictEqual(cache.peek(tmpFile), undefined);
+
+      await cache.get(tmpFile);
+      assert.strictEqual(decodeCalls, 2, "file should be decoded again");
+    } finally {
+      cache.dispose();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,150 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const {
+  themeNameFor,
+  readSoundPack,
+  loadSoundPacks,
+  importSoundPack,
+} = require("../src/soundPacks");
+
+suite("Sound Packs Test Suite", () => {
+  let tmpDir;
+
+  function writePack(name, config) {
+    const packPath = path.join(tmpDir, name);
+    fs.mkdirSync(packPath, { recursive: true });
+    fs.writeFileSync(path.join(packPath, "config.json"), JSON.stringify(config));
+    return packPath;
+  }
+
+  setup(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "hapticsound-packs-"));
+  });
+
+  teardown(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("Pack names become theme names", () => {
+    assert.strictEqual(themeNameFor("Cherry MX Black - ABS"), "cherry-mx-black-abs");
+    assert.strictEqual(themeNameFor("  Topre!  "), "topre");
+  });
+
+  test("Sprite packs play slices of one file", () => {
+    const packPath = writePack("sprite", {
+      name: "Sprite Pack",
+      key_define_type: "single",
+      sound: "sound.ogg",
+      defines: { 30: [1000, 120], 14: [2000, 90], 57: [3000, 150] },
+    });
+    const { name, theme } = readSoundPack(packPath);
+    const file = path.join(packPath, "sound.ogg");
+
+    assert.strictEqual(name, "sprite-pack");
+    assert.deepStrictEqual(theme.key, { file, offset: 1, duration: 0.12 });
+    assert.deepStrictEqual(theme.backspace, { file, offset: 2, duration: 0.09 });
+    assert.deepStrictEqual(theme.space, { file, offset: 3, duration: 0.15 });
+    assert.deepStrictEqual(theme.keys.a, theme.key, "A maps to keycode 30");
+    assert.deepStrictEqual(theme.keys[" "], theme.space);
+    assert.strictEqual(theme.save, theme.key, "save falls back to key");
+  });
+
+  test("Multi packs map keycodes to their own files", () => {
+    const packPath = writePack("multi", {
+      name: "Multi",
+      key_define_type: "multi",
+      defines: { 16: "q.wav", 28: "enter.wav", 30: null },
+    });
+    const { theme } = readSoundPack(packPath);
+
+    assert.strictEqual(theme.keys.q, path.join(packPath, "q.wav"));
+    assert.strictEqual(theme.newline, path.join(packPath, "enter.wav"));
+    assert.strictEqual(theme.keys.a, undefined, "null defines are skipped");
+    assert.ok(theme.key, "a key sound is picked when A is not defined");
+  });
+
+  test("Negative offsets start at the beginning", () => {
+    const packPath = writePack("negative", {
+      key_define_type: "single",
+      sound: "sound.ogg",
+      defines: { 30: [-500, 100] },
+    });
+    const { theme } = readSoundPack(packPath);
+    assert.strictEqual(theme.key.offset, 0);
+  });
+
+  test("Files outside the pack folder are skipped", () => {
+    const multiPath = writePack("escape-multi", {
+      key_define_type: "multi",
+      defines: { 16: "../../secret.wav", 17: "sub/../../w.wav", 30: "a.wav" },
+    });
+    const multi = readSoundPack(multiPath).theme;
+    assert.strictEqual(multi.keys.q, undefined);
+    assert.strictEqual(multi.keys.w, undefined);
+    assert.strictEqual(multi.keys.a, path.join(multiPath, "a.wav"));
+
+    const spritePath = writePack("escape-sprite", {
+      key_define_type: "single",
+      sound: "../sound.ogg",
+      defines: { 30: [0, 100] },
+    });
+    assert.throws(() => readSoundPack(spritePath), /No sounds defined/);
+  });
+
+  test("Packs without sounds are rejected", () => {
+    const packPath = writePack("empty", { name: "Empty", defines: {} });
+    assert.throws(() => readSoundPack(packPath), /No sounds defined/);
+  });
+
+  test("Imported packs are copied and loaded", () => {
+    const sourcePath = writePack("source", {
+      name: "Imported",
+      key_define_type: "multi",
+      defines: { 30: "a.wav" },
+    });
+    const packsPath = path.join(tmpDir, "packs");
+
+    const name = importSoundPack(sourcePath, packsPath);
+    assert.strictEqual(name, "imported");
+    assert.ok(fs.existsSync(path.join(packsPath, "imported", "config.json")));
+
+    const themes = loadSoundPacks(packsPath);
+    assert.deepStrictEqual(Object.keys(themes), ["imported"]);
+    assert.strictEqual(
+      themes.imported.key,
+      path.join(packsPath, "imported", "a.wav")
+    );
+  });
+
+  test("Packs named without letters or digits get a fallback name", () => {
+    const sourcePath = writePack("★", {
+      name: "★★★",
+      key_define_type: "multi",
+      defines: { 30: "a.wav" },
+    });
+    const packsPath = path.join(tmpDir, "packs");
+    writePack(path.join("packs", "kept"), { name: "Kept" });
+
+    assert.strictEqual(importSoundPack(sourcePath, packsPath), "sound-pack");
+    assert.ok(fs.existsSync(path.join(packsPath, "kept", "config.json")));
+    assert.ok(fs.existsSync(path.join(packsPath, "sound-pack", "config.json")));
+  });
+
+  test("Folders already in the packs folder are not imported", () => {
+    const packsPath = path.join(tmpDir, "packs");
+    const packPath = writePack(path.join("packs", "kept"), {
+      name: "Kept",
+      key_define_type: "multi",
+      defines: { 30: "a.wav" },
+    });
+
+    assert.throws(
+      () => importSoundPack(packPath, packsPath),
+      /already in the sound packs folder/
+    );
+    assert.throws(() => importSoundPack(tmpDir, packsPath));
+    assert.ok(fs.existsSync(path.join(packPath, "config.json")));
+  });
+});
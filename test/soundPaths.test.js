@@ -0,0 +1,95 @@
+const assert = require("assert");
+const path = require("path");
+const {
+  isLikelyPath,
+  expandPath,
+  resolveSettingPath,
+} = require("../src/soundPaths");
+
+suite("Sound Paths Test Suite", () => {
+  const home = path.join(path.sep, "home", "ada");
+  const workspace = path.join(path.sep, "work", "app");
+  const extension = path.join(path.sep, "ext");
+
+  test("Tells paths from theme names", () => {
+    for (const value of [
+      "click.ogg",
+      "click.FLAC",
+      "click.m4a",
+      "click.aac",
+      "~/sounds/click",
+      "${workspaceFolder}/click",
+      "./click",
+      "sounds/click",
+      path.join(home, "click"),
+    ]) {
+      assert.ok(isLikelyPath(value), value);
+    }
+    for (const value of ["typewriter", "gun", "", undefined, 42]) {
+      assert.ok(!isLikelyPath(value), String(value));
+    }
+  });
+
+  test("Expands the home folder and variables", () => {
+    const variables = { userHome: home, workspaceFolder: workspace };
+    assert.strictEqual(
+      expandPath("~/sounds/click.ogg", variables),
+      path.join(home, "sounds", "click.ogg")
+    );
+    assert.strictEqual(
+      expandPath("${userHome}/click.ogg", variables),
+      `${home}/click.ogg`
+    );
+    assert.strictEqual(
+      expandPath("${workspaceFolder}/click.ogg", variables),
+      `${workspace}/click.ogg`
+    );
+    assert.strictEqual(
+      expandPath("~user/click.ogg", variables),
+      "~user/click.ogg"
+    );
+  });
+
+  test("Unresolvable variables give no path", () => {
+    assert.strictEqual(
+      expandPath("${workspaceFolder}/click.ogg", { userHome: home }),
+      undefined
+    );
+    assert.strictEqual(expandPath("${nope}/click.ogg"), undefined);
+    assert.strictEqual(
+      resolveSettingPath("${workspaceFolder}/click.ogg", { userHome: home }),
+      undefined
+    );
+  });
+
+  test("Relative paths resolve against the workspace folder first", () => {
+    const inWorkspace = path.join(workspace, "sounds", "click.ogg");
+    const inExtension = path.join(extension, "sounds", "key.wav");
+    const files = new Set([inWorkspace, inExtension]);
+    const options = {
+      workspaceFolder: workspace,
+      fallbackDir: extension,
+      exists: (filePath) => files.has(filePath),
+    };
+
+    assert.strictEqual(
+      resolveSettingPath("sounds/click.ogg", options),
+      inWorkspace
+    );
+    // Older settings pointing into the extension folder keep working
+    assert.strictEqual(
+      resolveSettingPath("sounds/key.wav", options),
+      inExtension
+    );
+    // Missing files resolve to the workspace, where they were expected
+    assert.strictEqual(
+      resolveSettingPath("missing.ogg", options),
+      path.join(workspace, "missing.ogg")
+    );
+    assert.strictEqual(
+      resolveSettingPath("key.wav", { fallbackDir: extension }),
+      path.join(extension, "key.wav")
+    );
+    assert.strictEqual(resolveSettingPath(inExtension, options), inExtension);
+  });
+});
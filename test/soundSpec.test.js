@@ -0,0 +1,132 @@
+const assert = require("assert");
+const path = require("path");
+const {
+  DEFAULT_PITCH,
+  normalizeSound,
+  pickVariant,
+  soundFiles,
+  playbackRate,
+} = require("../src/soundSpec");
+
+suite("Sound Spec Test Suite", () => {
+  const baseDir = path.join(path.sep, "themes");
+  const abs = (file) => path.join(baseDir, file);
+
+  test("Flat sounds stay plain paths", () => {
+    assert.strictEqual(normalizeSound("key.wav", baseDir), abs("key.wav"));
+    assert.strictEqual(normalizeSound(42, baseDir), undefined);
+  });
+
+  test("Single variants keep gain, pitch and timing", () => {
+    const sound = normalizeSound(
+      { file: "sing.wav", gain: 0.5, pitch: [1.1, 0.9], offset: 0.2 },
+      baseDir
+    );
+    assert.deepStrictEqual(sound, {
+      file: abs("sing.wav"),
+      gain: 0.5,
+      pitch: [0.9, 1.1],
+      offset: 0.2,
+    });
+    assert.deepStrictEqual(
+      normalizeSound({ file: "a.wav", pitch: 1 }, baseDir).pitch,
+      [1, 1],
+      "a single number is a fixed rate"
+    );
+  });
+
+  test("Invalid gain, pitch and timing are dropped", () => {
+    assert.deepStrictEqual(
+      normalizeSound(
+        {
+          file: "a.wav",
+          gain: "loud",
+          pitch: -1,
+          offset: "0.5",
+          duration: 0,
+        },
+        baseDir
+      ),
+      { file: abs("a.wav") }
+    );
+    assert.deepStrictEqual(
+      normalizeSound(
+        { file: "a.wav", gain: NaN, offset: -0.2, duration: Infinity },
+        baseDir
+      ),
+      { file: abs("a.wav") }
+    );
+    assert.deepStrictEqual(
+      normalizeSound({ file: "a.wav", gain: 0, offset: 0 }, baseDir),
+      { file: abs("a.wav"), gain: 0, offset: 0 }
+    );
+  });
+
+  test("Variant lists inherit event-level settings", () => {
+    const sound = normalizeSound(
+      {
+        variants: ["a.wav", { file: "b.wav", gain: 0.3 }],
+        select: "roundRobin",
+        gain: 0.8,
+        pitch: [0.9, 1.1],
+      },
+      baseDir
+    );
+    assert.strictEqual(sound.select, "roundRobin");
+    assert.deepStrictEqual(sound.variants, [
+      { file: abs("a.wav"), gain: 0.8, pitch: [0.9, 1.1] },
+      { file: abs("b.wav"), gain: 0.3, pitch: [0.9, 1.1] },
+    ]);
+    assert.deepStrictEqual(soundFiles(sound), [abs("a.wav"), abs("b.wav")]);
+  });
+
+  test("Arrays are random variant lists", () => {
+    const sound = normalizeSound(["a.wav", "b.wav"], baseDir);
+    assert.strictEqual(sound.select, "random");
+    assert.strictEqual(pickVariant(sound, () => 0).file, abs("a.wav"));
+    assert.strictEqual(pickVariant(sound, () => 0.99).file, abs("b.wav"));
+    assert.strictEqual(
+      normalizeSound(["a.wav"], baseDir),
+      abs("a.wav"),
+      "a single variant needs no list"
+    );
+  });
+
+  test("Round robin cycles through variants", () => {
+    const sound = normalizeSound(
+      { variants: ["a.wav", "b.wav", "c.wav"], select: "roundRobin" },
+      baseDir
+    );
+    const picked = [0, 1, 2, 3].map(
+      () => path.basename(pickVariant(sound).file)
+    );
+    assert.deepStrictEqual(picked, ["a.wav", "b.wav", "c.wav", "a.wav"]);
+  });
+
+  test("Playback rate stays within the pitch range", () => {
+    assert.strictEqual(playbackRate({ pitch: [0.9, 1.1] }, () => 0), 0.9);
+    assert.strictEqual(playbackRate({ pitch: [0.9, 1.1] }, () => 1), 1.1);
+    assert.strictEqual(playbackRate({}, () => 0), DEFAULT_PITCH[0]);
+  });
+
+  test("Playback rate range narrows around its middle", () => {
+    assert.strictEqual(playbackRate({ pitch: [0.5, 1.5] }, () => 0.5, 0), 1);
+    assert.strictEqual(
+      playbackRate({ pitch: [0.5, 1.5] }, () => 0, 0.1),
+      0.95
+    );
+    assert.strictEqual(playbackRate({ pitch: [0.8, 0.8] }, () => 1, 0.1), 0.8);
+  });
+
+  test("Synthesized sounds have no file", () => {
+    const sound = normalizeSound(
+      { synth: { preset: "thock" }, gain: 0.5 },
+      baseDir
+    );
+    assert.strictEqual(sound.synth.waveform, "sine");
+    assert.strictEqual(sound.gain, 0.5);
+    assert.deepStrictEqual(soundFiles(sound), []);
+    const rate = playbackRate(sound, () => 1);
+    assert.ok(rate < DEFAULT_PITCH[1], "synths vary less than samples");
+  });
+});
@@ -0,0 +1,103 @@
+const assert = require("assert");
+const { PRESETS, normalizeSynth, startSynth } = require("../src/synth");
+
+suite("Synth Test Suite", () => {
+  // Minimal AudioContext recording the graph it builds
+  function fakeContext() {
+    const calls = [];
+    const param = (name) => ({
+      value: 0,
+      setValueAtTime: (v) => calls.push([name, "set", v]),
+      linearRampToValueAtTime: (v) => calls.push([name, "linear", v]),
+      exponentialRampToValueAtTime: (v) => calls.push([name, "exp", v]),
+    });
+    const node = (label, extra) => ({
+      label,
+      connect(target) {
+        calls.push(["connect", label, target.label]);
+        return target;
+      },
+      ...extra,
+    });
+    return {
+      calls,
+      currentTime: 0,
+      sampleRate: 100,
+      createOscillator: () =>
+        node("oscillator", {
+          frequency: param("frequency"),
+          start() {},
+          stop() {},
+        }),
+      createBufferSource: () =>
+        node("noise", { playbackRate: param("rate"), start() {}, stop() {} }),
+      createBuffer: (channels, length) => {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+      },
+      createGain: () => node("envelope", { gain: param("gain") }),
+      createBiquadFilter: () =>
+        node("filter", { frequency: param("cutoff"), Q: param("Q") }),
+    };
+  }
+
+  test("Presets are applied and can be overridden", () => {
+    const thock = normalizeSynth({ preset: "thock", decay: 0.2 });
+    assert.strictEqual(thock.waveform, PRESETS.thock.waveform);
+    assert.strictEqual(thock.frequency, PRESETS.thock.frequency);
+    assert.strictEqual(thock.decay, 0.2);
+    assert.strictEqual(thock.filter.type, "lowpass");
+
+    const filtered = normalizeSynth({ preset: "click", filter: { Q: 3 } });
+    assert.strictEqual(filtered.filter.type, "highpass", "filter is merged");
+    assert.strictEqual(filtered.filter.Q, 3);
+  });
+
+  test("Invalid parameters fall back to safe values", () => {
+    const synth = normalizeSynth({
+      waveform: "banjo",
+      frequency: -5,
+      decay: 0,
+      filter: null,
+    });
+    assert.strictEqual(synth.waveform, "sine");
+    assert.strictEqual(synth.frequency, 440);
+    assert.strictEqual(synth.decay, 0.05);
+    assert.strictEqual(synth.filter, undefined);
+  });
+
+  test("Oscillator voices sweep frequency through the filter", () => {
+    const context = fakeContext();
+    const destination = { label: "voice" };
+    const synth = normalizeSynth({ preset: "blip" });
+    const source = startSynth(context, synth, destination, 2);
+
+    assert.strictEqual(source.type, synth.waveform);
+    assert.deepStrictEqual(
+      context.calls.filter(([name]) => name === "frequency"),
+      [
+        ["frequency", "set", synth.frequency * 2],
+        ["frequency", "exp", synth.frequencyEnd * 2],
+      ]
+    );
+    assert.deepStrictEqual(
+      context.calls.filter(([name]) => name === "connect"),
+      [
+        ["connect", "oscillator", "filter"],
+        ["connect", "filter", "envelope"],
+        ["connect", "envelope", "voice"],
+      ]
+    );
+  });
+
+  test("Noise voices loop a noise buffer", () => {
+    const context = fakeContext();
+    const source = startSynth(
+      context,
+      normalizeSynth({ preset: "click" }),
+      { label: "voice" }
+    );
+    assert.strictEqual(source.loop, true);
+    assert.ok(source.buffer, "noise buffer should be set");
+  });
+});
@@ -0,0 +1,44 @@
+const assert = require("assert");
+const { TaskTracker, matchesTask } = require("../src/taskTracker");
+
+suite("Task Tracker Test Suite", () => {
+  const buildTask = { name: "npm: build", group: { id: "build" } };
+  const watchTask = { name: "npm: watch" };
+
+  test("Filters tasks by group", () => {
+    assert.ok(matchesTask(buildTask, { groups: ["build", "test"] }));
+    assert.ok(!matchesTask(watchTask, { groups: ["build", "test"] }));
+    assert.ok(matchesTask(watchTask, { groups: ["none"] }));
+    assert.ok(matchesTask(watchTask, { groups: [] }), "empty means all");
+  });
+
+  test("Filters tasks by name pattern", () => {
+    assert.ok(matchesTask(buildTask, { names: ["npm: build"] }));
+    assert.ok(matchesTask(buildTask, { names: ["npm:*"] }));
+    assert.ok(matchesTask(buildTask, { names: ["*BUILD"] }), "case-insensitive");
+    assert.ok(!matchesTask(buildTask, { names: ["npm: test"] }));
+    assert.ok(!matchesTask(buildTask, { names: ["build"] }), "whole name");
+  });
+
+  test("Reports success and failure after the minimum duration", () => {
+    const tracker = new TaskTracker();
+    const ok = {};
+    const failed = {};
+    tracker.start(ok, 0);
+    tracker.start(failed, 0);
+    assert.strictEqual(tracker.end(ok, 0, 1000, 5000), "taskSucceeded");
+    assert.strictEqual(tracker.end(failed, 2, 1000, 5000), "taskFailed");
+  });
+
+  test("Quick, untracked and terminated tasks are silent", () => {
+    const tracker = new TaskTracker();
+    const quick = {};
+    const terminated = {};
+    tracker.start(quick, 0);
+    tracker.start(terminated, 0);
+    assert.strictEqual(tracker.end(quick, 0, 1000, 500), null);
+    assert.strictEqual(tracker.end(terminated, undefined, 0, 5000), null);
+    assert.strictEqual(tracker.end({}, 0, 0, 5000), null);
+    assert.strictEqual(tracker.started.size, 0);
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require("assert");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const {
+  normalizeTheme,
+  resolveExtends,
+  loadThemeFile,
+  loadThemeSources,
+} = require("../src/themes");
+
+suite("Themes Test Suite", () => {
+  let tmpDir;
+
+  function writeJson(relativePath, content) {
+    const filePath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(
+      filePath,
+      typeof content === "string" ? content : JSON.stringify(content)
+    );
+    return filePath;
+  }
+
+  setup(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "hapticsound-themes-"));
+  });
+
+  teardown(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test("Sounds resolve relative to the manifest folder", () => {
+    const baseDir = path.join(tmpDir, "team");
+    const theme = normalizeTheme(
+      {
+        key: "click.wav",
+        save: "/abs/save.wav",
+        space: { file: "sprite.ogg", offset: 1, duration: 0.1 },
+        ignored: 42,
+      },
+      baseDir
+    );
+    assert.strictEqual(theme.key, path.join(baseDir, "click.wav"));
+    assert.strictEqual(theme.save, "/abs/save.wav");
+    assert.deepStrictEqual(theme.space, {
+      file: path.join(baseDir, "sprite.ogg"),
+      offset: 1,
+      duration: 0.1,
+    });
+    assert.ok(!("ignored" in theme));
+  });
+
+  test("Manifests lower-case theme names", () => {
+    const filePath = writeJson("themes.json", { Soft: { key: "k.wav" } });
+    const themes = loadThemeFile(filePath);
+    assert.deepStrictEqual(Object.keys(themes), ["soft"]);
+  });
+
+  test("Later sources override earlier ones and broken files are skipped", () => {
+    const userFile = writeJson("user/themes.json", {
+      soft: { key: "user.wav" },
+      loud: { key: "loud.wav" },
+    });
+    writeJson("workspace/a.json", { soft: { key: "workspace.wav" } });
+    writeJson("workspace/b.json", "{ not json");
+    writeJson("workspace/notes.txt", "ignored");
+
+    const errors = [];
+    const themes = loadThemeSources(
+      [
+        userFile,
+        path.join(tmpDir, "workspace"),
+        path.join(tmpDir, "missing"),
+      ],
+      (filePath) => errors.push(path.basename(filePath))
+    );
+
+    assert.strictEqual(
+      themes.soft.key,
+      path.join(tmpDir, "workspace", "workspace.wav")
+    );
+    assert.strictEqual(themes.loud.key, path.join(tmpDir, "user", "loud.wav"));
+    assert.deepStrictEqual(errors, ["b.json"]);
+  });
+
+  test("Themes extend other themes", () => {
+    const themes = resolveExtends({
+      base: { key: "/k.wav", save: "/s.wav" },
+      quiet: { extends: "base", save: "/soft.wav" },
+      quieter: { extends: "quiet", key: "/tick.wav" },
+    });
+    assert.deepStrictEqual(themes.quiet, { key: "/k.wav", save: "/soft.wav" });
+    assert.deepStrictEqual(themes.quieter, {
+      key: "/tick.wav",
+      save: "/soft.wav",
+    });
+  });
+
+  test("Unknown and circular parents are reported", () => {
+    const errors = [];
+    const themes = resolveExtends(
+      {
+        lost: { extends: "nowhere", key: "/k.wav" },
+        a: { extends: "b", key: "/a.wav" },
+        b: { extends: "a", save: "/b.wav" },
+      },
+      (themeName, e) => errors.push(`${themeName}: ${e.message}`)
+    );
+    assert.deepStrictEqual(themes.lost, { key: "/k.wav" });
+    assert.deepStrictEqual(themes.a, { key: "/a.wav", save: "/b.wav" });
+    assert.strictEqual(errors.length, 2);
+  });
+
+  test("Manifest names in extends are lower-cased", () => {
+    const theme = normalizeTheme({ extends: "TypeWriter" }, tmpDir);
+    assert.strictEqual(theme.extends, "typewriter");
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require("assert");
+const { createRandom, TypingDynamics } = require("../src/typingDynamics");
+
+suite("Typing Dynamics Test Suite", () => {
+  // Keystrokes every `interval` ms, returning the multipliers of the last one
+  const type = (dynamics, count, interval, start = 0) => {
+    let result;
+    for (let i = 0; i < count; i++) {
+      result = dynamics.keystroke(start + i * interval);
+    }
+    return result;
+  };
+  const noJitter = { jitter: 0 };
+
+  test("Seeded random generators replay the same sequence", () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = [a(), a(), a()];
+    assert.deepStrictEqual([b(), b(), b()], sequence);
+    assert.ok(sequence.every((value) => value >= 0 && value < 1));
+    assert.notDeepStrictEqual(
+      [createRandom(7)(), createRandom(7)()],
+      [createRandom(8)(), createRandom(8)()]
+    );
+  });
+
+  test("Fast typing is louder and higher than slow typing", () => {
+    const fast = type(new TypingDynamics(noJitter), 10, 50);
+    const slow = type(new TypingDynamics(noJitter), 10, 500);
+    assert.ok(fast.gain > slow.gain);
+    assert.ok(fast.rate > slow.rate);
+    assert.strictEqual(fast.gain, 1.1);
+    assert.strictEqual(slow.gain, 0.75);
+  });
+
+  test("The first keystroke of a run is slow", () => {
+    const dynamics = new TypingDynamics(noJitter);
+    type(dynamics, 10, 50);
+    const afterPause = dynamics.keystroke(10_000);
+    assert.deepStrictEqual(afterPause, { gain: 0.75, rate: 0.97 });
+  });
+
+  test("Long runs get softer", () => {
+    const options = { ...noJitter, sustainAfter: 10, sustainGain: 0.5 };
+    const dynamics = new TypingDynamics(options);
+    const early = type(dynamics, 10, 50);
+    const late = type(dynamics, 10, 50, 500);
+    assert.strictEqual(late.gain, early.gain * 0.5);
+  });
+
+  test("Curves and limits are configurable", () => {
+    const options = {
+      ...noJitter,
+      velocity: [0.5, 1],
+      fastInterval: 100,
+      slowInterval: 300,
+      curve: 2,
+    };
+    // Halfway between slow and fast, squared by the curve
+    const result = type(new TypingDynamics(options), 2, 200);
+    assert.strictEqual(result.gain, 0.5 + 0.5 * 0.25);
+  });
+
+  test("Jitter follows the seeded generator", () => {
+    const run = () =>
+      type(new TypingDynamics({ jitter: 0.1 }, createRandom(1)), 5, 80);
+    assert.deepStrictEqual(run(), run());
+  });
+});
@@ -0,0 +1,121 @@
+const assert = require("assert");
+const { dayKey, withMetrics, TypingStats } = require("../src/typingStats");
+
+suite("Typing Stats Test Suite", () => {
+  const memento = (values = {}) => ({
+    values,
+    get: (key) => values[key],
+    update: async (key, value) => {
+      values[key] = value;
+    },
+  });
+  const day = (date, time = "12:00") =>
+    new Date(`${date}T${time}:00`).getTime();
+
+  // Stats with a clock that the test moves forward
+  const createStats = (storage = memento(), start = day("2026-10-19")) => {
+    const clock = { now: start };
+    const stats = new TypingStats(storage, () => clock.now);
+    return { stats, clock, storage };
+  };
+
+  test("Formats local days", () => {
+    assert.strictEqual(dayKey(day("2026-03-04", "23:59")), "2026-03-04");
+  });
+
+  test("Counts per day and language", () => {
+    const { stats, clock } = createStats();
+    stats.record("keystroke", "javascript");
+    stats.record("keystroke", "javascript");
+    stats.record("deletion", "javascript");
+    stats.record("save", "markdown");
+    clock.now = day("2026-10-20");
+    stats.record("keystroke", "markdown");
+
+    const summary = stats.summary();
+    assert.deepStrictEqual(
+      summary.days.map((entry) => [entry.day, entry.keystrokes]),
+      [
+        ["2026-10-19", 2],
+        ["2026-10-20", 1],
+      ]
+    );
+    assert.deepStrictEqual(
+      summary.languages.map((entry) => entry.languageId),
+      ["javascript", "markdown"]
+    );
+    assert.strictEqual(summary.total.saves, 1);
+    assert.strictEqual(summary.total.deletions, 1);
+    assert.strictEqual(summary.languages[0].backspaceRatio, 1 / 3);
+    stats.dispose();
+  });
+
+  test("Counts typing time between close keystrokes only", () => {
+    const { stats, clock } = createStats();
+    stats.record("keystroke", "go");
+    clock.now += 200;
+    stats.record("keystroke", "go");
+    clock.now += 60 * 1000;
+    stats.record("keystroke", "go");
+    clock.now += 300;
+    stats.record("save", "go");
+    assert.strictEqual(stats.summary().total.activeMs, 200);
+    stats.dispose();
+  });
+
+  test("Computes words per minute over typing time", () => {
+    const metrics = withMetrics({
+      keystrokes: 300,
+      deletions: 100,
+      saves: 0,
+      activeMs: 60 * 1000,
+    });
+    assert.strictEqual(metrics.wpm, 60);
+    assert.strictEqual(metrics.backspaceRatio, 0.25);
+    assert.strictEqual(withMetrics({ ...metrics, activeMs: 0 }).wpm, 0);
+  });
+
+  test("Persists counts and reloads them", async () => {
+    const { stats, storage } = createStats();
+    stats.record("keystroke", "rust");
+    assert.strictEqual(storage.values["hapticsound.typingStats"], undefined);
+    stats.dispose();
+    assert.ok(storage.values["hapticsound.typingStats"]);
+
+    const reloaded = createStats(storage).stats;
+    assert.strictEqual(reloaded.summary().total.keystrokes, 1);
+    await reloaded.clear();
+    assert.strictEqual(reloaded.summary().days.length, 0);
+    assert.strictEqual(storage.values["hapticsound.typingStats"], undefined);
+  });
+
+  test("Drops days past the retention period", () => {
+    const { stats, clock } = createStats(memento(), day("2025-01-01"));
+    stats.record("keystroke", "c");
+    clock.now = day("2026-10-19");
+    stats.record("keystroke", "c");
+    stats.flush();
+    assert.deepStrictEqual(
+      stats.summary().days.map((entry) => entry.day),
+      ["2026-10-19"]
+    );
+  });
+
+  test("Exports CSV and JSON", () => {
+    const { stats } = createStats();
+    stats.record("keystroke", 'weird"lang');
+    stats.record("save", "python");
+    const csv = stats.toCSV().trim().split("\n");
+    assert.strictEqual(
+      csv[0],
+      "day,language,keystrokes,deletions,saves,activeSeconds,wpm,backspaceRatio"
+    );
+    assert.strictEqual(csv[1], '2026-10-19,"weird""lang",1,0,0,0,0.0,0.000');
+    assert.strictEqual(csv[2], '2026-10-19,"python",0,0,1,0,0.0,0.000');
+    assert.strictEqual(
+      JSON.parse(stats.toJSON()).days["2026-10-19"].python.saves,
+      1
+    );
+    stats.dispose();
+  });
+});
@@ -0,0 +1,77 @@
+const assert = require("assert");
+const { VoiceManager, DEFAULT_MAX_VOICES } = require("../src/voiceManager");
+
+suite("Voice Manager Test Suite", () => {
+  function fakeVoice(log, name) {
+    return {
+      stop() {
+        log.push(name);
+      },
+    };
+  }
+
+  test("Steals the oldest voice when polyphony is exhausted", () => {
+    const manager = new VoiceManager({ maxVoices: 2 });
+    const stopped = [];
+    manager.register(fakeVoice(stopped, "a"));
+    manager.register(fakeVoice(stopped, "b"));
+    manager.register(fakeVoice(stopped, "c"));
+    assert.deepStrictEqual(stopped, ["a"]);
+    assert.strictEqual(manager.activeCount, 2);
+  });
+
+  test("Released voices free their slot", () => {
+    const manager = new VoiceManager({ maxVoices: 1 });
+    const stopped = [];
+    const first = fakeVoice(stopped, "a");
+    manager.register(first);
+    manager.release(first);
+    manager.register(fakeVoice(stopped, "b"));
+    assert.deepStrictEqual(stopped, []);
+    assert.strictEqual(manager.activeCount, 1);
+  });
+
+  test("Reconfiguring trims playing voices", () => {
+    const manager = new VoiceManager({ maxVoices: 3 });
+    const stopped = [];
+    ["a", "b", "c"].forEach((name) =>
+      manager.register(fakeVoice(stopped, name))
+    );
+    manager.configure({ maxVoices: 1 });
+    assert.deepStrictEqual(stopped, ["a", "b"]);
+  });
+
+  test("Invalid polyphony falls back to the default", () => {
+    const manager = new VoiceManager({ maxVoices: 0 });
+    assert.strictEqual(manager.maxVoices, DEFAULT_MAX_VOICES);
+  });
+
+  test("Enforces a minimum interval per event kind", () => {
+    const manager = new VoiceManager({ minIntervals: { key: 50, save: 0 } });
+    assert.ok(manager.shouldPlay("key", 1000));
+    assert.ok(!manager.shouldPlay("key", 1020), "too soon after last key");
+    assert.ok(manager.shouldPlay("backspace", 1020), "kinds are independent");
+    assert.ok(manager.shouldPlay("key", 1050));
+    assert.ok(manager.shouldPlay("save", 1050));
+    assert.ok(manager.shouldPlay("save", 1050), "zero interval never limits");
+  });
+
+  test("Event kinds are rate limited by default", () => {
+    const manager = new VoiceManager();
+    assert.ok(manager.shouldPlay("stepStopped", 1000));
+    assert.ok(!manager.shouldPlay("stepStopped", 1050), "held step key");
+    assert.ok(manager.shouldPlay("stepStopped", 1100));
+    assert.ok(manager.shouldPlay("taskFailed", 1000));
+    assert.ok(!manager.shouldPlay("taskFailed", 1100));
+  });
+
+  test("stopAll stops every voice", () => {
+    const manager = new VoiceManager();
+    const stopped = [];
+    manager.register(fakeVoice(stopped, "a"));
+    manager.register(fakeVoice(stopped, "b"));
+    manager.stopAll();
+    assert.deepStrictEqual(stopped, ["a", "b"]);
+    assert.strictEqual(manager.activeCount, 0);
+  });
+});
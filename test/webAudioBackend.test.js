@@ -0,0 +1,205 @@
+const assert = require("assert");
+const { WebAudioBackend } = require("../src/webAudioBackend");
+const { normalizeEffects } = require("../src/effects");
+
+suite("Web Audio Backend Test Suite", () => {
+  const param = () => ({ value: 0, setTargetAtTime() {} });
+  const node = (extra) => ({ connect() {}, disconnect() {}, ...extra });
+
+  // Fake node-web-audio-api counting the contexts it creates
+  function fakeWebAudio() {
+    const contexts = [];
+    class AudioContext {
+      constructor() {
+        this.state = "running";
+        this.sampleRate = 44100;
+        this.currentTime = 0;
+        this.destination = node();
+        this.sources = [];
+        contexts.push(this);
+      }
+      createGain() {
+        return node({ gain: param() });
+      }
+      createDynamicsCompressor() {
+        const limiter = node();
+        for (const key of ["threshold", "knee", "ratio", "attack", "release"]) {
+          limiter[key] = param();
+        }
+        return limiter;
+      }
+      createStereoPanner() {
+        return node({ pan: param() });
+      }
+      createBufferSource() {
+        const source = node({
+          playbackRate: param(),
+          start() {},
+          stop() {},
+        });
+        this.sources.push(source);
+        return source;
+      }
+      async suspend() {
+        this.state = "suspended";
+      }
+      async resume() {
+        this.state = "running";
+      }
+      async close() {
+        this.state = "closed";
+      }
+    }
+    class OfflineAudioContext {
+      constructor(channels, length, sampleRate) {
+        this.sampleRate = sampleRate;
+      }
+      async decodeAudioData(data) {
+        return { byteLength: data.byteLength, sampleRate: this.sampleRate };
+      }
+    }
+    return { contexts, AudioContext, OfflineAudioContext };
+  }
+
+  const playOptions = (onEnded = () => {}) => ({
+    audioBuffer: {},
+    gain: 1,
+    pan: 0,
+    rate: 1,
+    onEnded,
+  });
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  test("Creates the audio context on the first sound only", async () => {
+    const webAudio = fakeWebAudio();
+    const backend = new WebAudioBackend(webAudio);
+
+    const decoded = await backend.decode(new ArrayBuffer(8));
+    assert.strictEqual(decoded.byteLength, 8);
+    backend.setEffects(normalizeEffects({}), null);
+    assert.strictEqual(backend.state, "none");
+    assert.strictEqual(webAudio.contexts.length, 0);
+
+    assert.ok(backend.play({ file: "key.wav" }, playOptions()));
+    assert.strictEqual(backend.state, "running");
+    backend.play({ file: "key.wav" }, playOptions());
+    assert.strictEqual(webAudio.contexts.length, 1);
+    backend.dispose();
+  });
+
+  test("Suspends when idle and resumes on the next sound", async () => {
+    const webAudio = fakeWebAudio();
+    const backend = new WebAudioBackend(webAudio, { idleTimeout: 10 });
+
+    backend.play({ file: "key.wav" }, playOptions());
+    const [context] = webAudio.contexts;
+    // Still playing, stays awake
+    await wait(30);
+    assert.strictEqual(context.state, "running");
+
+    context.sources[0].onended();
+    await wait(30);
+    assert.strictEqual(context.state, "suspended");
+
+    assert.ok(backend.play({ file: "key.wav" }, playOptions()));
+    await wait(0);
+    assert.strictEqual(context.state, "running");
+    assert.strictEqual(context.sources.length, 2);
+    backend.dispose();
+  });
+
+  test("Never suspends with an idle timeout of 0", async () => {
+    const webAudio = fakeWebAudio();
+    const backend = new WebAudioBackend(webAudio, { idleTimeout: 10 });
+    backend.configure({ idleTimeout: 0 });
+
+    backend.play({ file: "key.wav" }, playOptions());
+    webAudio.contexts[0].sources[0].onended();
+    await wait(30);
+    assert.strictEqual(webAudio.contexts[0].state, "running");
+    backend.dispose();
+  });
+
+  test("Replaces a closed or broken context", () => {
+    const webAudio = fakeWebAudio();
+    const backend = new WebAudioBackend(webAudio);
+    let ended = 0;
+
+    backend.play(
+      { file: "key.wav" },
+      playOptions(() => ended++)
+    );
+    webAudio.contexts[0].state = "closed";
+    backend.play({ file: "key.wav" }, playOptions());
+    assert.strictEqual(webAudio.contexts.length, 2);
+    // Voices of the lost context are released
+    assert.strictEqual(ended, 1);
+
+    webAudio.contexts[1].createBufferSource = () => {
+      webAudio.contexts[1].state = "closed";
+      throw new Error("device lost");
+    };
+    assert.ok(backend.play({ file: "key.wav" }, playOptions()));
+    assert.strictEqual(webAudio.contexts.length, 3);
+    assert.strictEqual(webAudio.contexts[1].state, "closed");
+    backend.dispose();
+  });
+
+  test("A bad sound leaves the context and its voices alone", () => {
+    const webAudio = fakeWebAudio();
+    const errors = [];
+    const backend = new WebAudioBackend(webAudio, {
+      onError: (error) => errors.push(error.message),
+    });
+    let ended = 0;
+    backend.play(
+      { file: "key.wav" },
+      playOptions(() => ended++)
+    );
+
+    const [context] = webAudio.contexts;
+    context.createGain = () =>
+      node({
+        gain: {
+          set value(value) {
+            if (!Number.isFinite(value)) throw new TypeError("Bad gain");
+          },
+        },
+      });
+    assert.strictEqual(
+      backend.play({ file: "key.wav" }, { ...playOptions(), gain: NaN }),
+      null
+    );
+    assert.strictEqual(webAudio.contexts.length, 1);
+    assert.strictEqual(context.state, "running");
+    assert.strictEqual(ended, 0);
+    assert.deepStrictEqual(errors, ["Bad gain"]);
+    backend.dispose();
+  });
+
+  test("Reports a failing device once", () => {
+    const webAudio = /** @type {any} */ (fakeWebAudio());
+    const errors = [];
+    webAudio.AudioContext = class {
+      constructor() {
+        throw new Error("no device");
+      }
+    };
+    const backend = new WebAudioBackend(webAudio, {
+      onError: (error) => errors.push(error.message),
+    });
+
+    assert.strictEqual(backend.play({ file: "key.wav" }, playOptions()), null);
+    assert.strictEqual(backend.play({ file: "key.wav" }, playOptions()), null);
+    assert.deepStrictEqual(errors, ["no device"]);
+
+    const unavailable = [];
+    const switching = new WebAudioBackend(webAudio, {
+      onError: (error) => errors.push(error.message),
+      onUnavailable: (error) => unavailable.push(error.message),
+    });
+    switching.play({ file: "key.wav" }, playOptions());
+    assert.deepStrictEqual(unavailable, ["no device"]);
+    assert.deepStrictEqual(errors, ["no device"]);
+  });
+});